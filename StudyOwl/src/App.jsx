@@ -1,4 +1,4 @@
-import { useEffect, useState } from 'react'
+import { useCallback, useEffect, useState } from 'react'
 import { Navigate, Route, Routes } from 'react-router-dom'
 import './App.css'
 import Home from './pages/Home'
@@ -18,6 +18,8 @@ function App() {
   })
 
   const [studyDoc, setStudyDoc] = useState(null)
+  // The document being studied is remembered so a refresh of /study can load it again
+  const [restoringDoc, setRestoringDoc] = useState(() => Boolean(localStorage.getItem('studyDocumentId')))
 
   useEffect(() => {
     if (user) {
@@ -37,6 +39,26 @@ function App() {
     }
   }, [studyDoc])
 
+  useEffect(() => {
+    if (studyDoc?.documentId) localStorage.setItem('studyDocumentId', studyDoc.documentId)
+  }, [studyDoc?.documentId])
+
+  useEffect(() => {
+    if (!restoringDoc) return
+    const documentId = localStorage.getItem('studyDocumentId')
+    fetch(`http://localhost:8888/api/documents/${documentId}`)
+      .then((response) => (response.ok ? response.json() : null))
+      .then((document) => {
+        if (document) {
+          setStudyDoc({ name: document.fileName, type: document.contentType || 'application/octet-stream', url: document.pdfUrl, file: null, documentId })
+        } else {
+          localStorage.removeItem('studyDocumentId')
+        }
+      })
+      .catch((error) => console.error('Study document restore error:', error))
+      .finally(() => setRestoringDoc(false))
+  }, [restoringDoc])
+
   const handleLogin = ({ email, password }) => {
     const normalizedEmail = email.trim().toLowerCase()
     const existing = accounts.find((account) => account.email === normalizedEmail)
@@ -79,16 +101,21 @@ function App() {
     return { ok: true }
   }
 
-  const setDocumentId = (documentId, pdfUrl) => {
+  // Stable identity: Home's progress stream effect depends on it
+  const setDocumentId = useCallback((documentId, pdfUrl) => {
     console.log('setDocumentId called with:', { documentId, pdfUrl })
     setStudyDoc((prev) => {
       const updated = prev ? { ...prev, documentId, url: pdfUrl || prev.url } : null
       console.log('Updated studyDoc:', updated)
       return updated
     })
-  }
+  }, [])
 
-  const handleLogout = () => setUser(null)
+  const handleLogout = () => {
+    localStorage.removeItem('studyDocumentId')
+    setStudyDoc(null)
+    setUser(null)
+  }
 
   const isAuthed = Boolean(user)
 
@@ -135,7 +162,7 @@ function App() {
             isAuthed ? (
               studyDoc ? (
                 <StudySession doc={studyDoc} user={user} />
-              ) : (
+              ) : restoringDoc ? null : (
                 <Navigate to="/home" replace />
               )
             ) : (
@@ -9,37 +9,72 @@ function Home({ user, onLogout, onUploadDoc, onSetDocumentId }) {
   const [uploadProgress, setUploadProgress] = useState(0)
   const [estimatedTimeRemaining, setEstimatedTimeRemaining] = useState(0)
   const [documentId, setDocumentId] = useState(null)
+  const [sessionReady, setSessionReady] = useState(false)
   const navigate = useNavigate()
 
-  // Poll for progress updates
+  // Stream progress updates from the backend
   useEffect(() => {
     if (!documentId) return
 
-    const pollInterval = setInterval(async () => {
-      try {
-        const response = await fetch(`http://localhost:8888/api/documents/${documentId}/status`)
-        if (!response.ok) {
-          clearInterval(pollInterval)
-          return
-        }
-
-        const data = await response.json()
-        setUploadProgress(data.progress)
-        setEstimatedTimeRemaining(data.estimatedRemainingSeconds)
-        setUploadStatus(data.message || `Processing... ${data.stage}`)
-
-        // If complete, stop polling
-        if (data.stage === 'complete') {
-          clearInterval(pollInterval)
-          setUploadStatus('Uploaded. Ready for an AI-guided session.')
-        }
-      } catch (error) {
-        console.error('Error polling progress:', error)
+    const events = new EventSource(`http://localhost:8888/api/documents/${documentId}/events`)
+    const parse = (event) => JSON.parse(event.data)
+
+    const showStatus = (data) => {
+      setUploadProgress(data.progress)
+      setEstimatedTimeRemaining(data.estimatedRemainingSeconds)
+      setUploadStatus(data.message || `Processing... ${data.stage}`)
+    }
+    events.addEventListener('status', (event) => showStatus(parse(event)))
+    events.addEventListener('progress', (event) => showStatus(parse(event)))
+
+    events.addEventListener('figure', (event) => {
+      const figure = parse(event)
+      setUploadStatus(`Interpreted figure ${figure.figuresProcessed}/${figure.totalFigures} (page ${figure.pageNumber})`)
+    })
+
+    events.addEventListener('chunks', (event) => {
+      const { chunksWritten } = parse(event)
+      setUploadStatus(`Stored ${chunksWritten} chunks...`)
+    })
+
+    // Once complete, close the stream and open the study session
+    events.addEventListener('completed', (event) => {
+      const data = parse(event)
+      events.close()
+      setDocumentId(null)
+      setUploadProgress(100)
+      setEstimatedTimeRemaining(0)
+      setUploadStatus('Uploaded. Ready for an AI-guided session.')
+      onSetDocumentId(data.documentId, data.result?.pdfUrl)
+      setSessionReady(true)
+    })
+
+    events.addEventListener('failed', (event) => {
+      const data = parse(event)
+      events.close()
+      setDocumentId(null)
+      setUploadStatus(`Processing failed: ${data.error?.message || 'unknown error'}`)
+      setEstimatedTimeRemaining(0)
+    })
+
+    // EventSource reconnects on its own after dropped connections; it only gives up
+    // when the server refuses the stream (e.g. unknown document)
+    events.onerror = () => {
+      if (events.readyState === EventSource.CLOSED) {
+        setDocumentId(null)
+        setUploadStatus('Lost connection to the backend while processing.')
       }
-    }, 500)
+    }
 
-    return () => clearInterval(pollInterval)
-  }, [documentId])
+    return () => events.close()
+  }, [documentId, onSetDocumentId])
+
+  // Open the study session shortly after processing completes
+  useEffect(() => {
+    if (!sessionReady) return
+    const timer = setTimeout(() => navigate('/study'), 1000)
+    return () => clearTimeout(timer)
+  }, [sessionReady, navigate])
 
   const handleUploadClick = () => {
     fileInputRef.current?.click()
@@ -51,6 +86,7 @@ function Home({ user, onLogout, onUploadDoc, onSetDocumentId }) {
 
     setUploadedFileName(file.name)
     setUploadStatus('Starting upload...')
+    setSessionReady(false)
     setUploadProgress(0)
     setEstimatedTimeRemaining(0)
 
@@ -85,14 +121,12 @@ function Home({ user, onLogout, onUploadDoc, onSetDocumentId }) {
         return
       }
 
-      console.log('Upload successful. DocumentId:', data.documentId)
-      // Set document ID to trigger polling
+      console.log('Upload accepted. DocumentId:', data.documentId, 'JobId:', data.jobId)
+      // Set document ID to open the progress stream; navigation happens once processing completes
+      setUploadStatus(data.cached
+        ? 'This file was already processed. Reusing its analysis...'
+        : 'Uploaded. Waiting for processing to start...')
       setDocumentId(data.documentId)
-      
-      // Store document ID and navigate after a short delay
-      console.log('Calling onSetDocumentId with pdfUrl:', data.pdfUrl)
-      onSetDocumentId(data.documentId, data.pdfUrl)
-      setTimeout(() => navigate('/study'), 1000)
     } catch (error) {
       console.error('Network error during upload:', error)
       setUploadStatus('Network error. Make sure backend (http://localhost:8888) is running.')
@@ -128,7 +162,7 @@ function Home({ user, onLogout, onUploadDoc, onSetDocumentId }) {
           <input
             ref={fileInputRef}
             type="file"
-            accept=".pdf,.doc,.docx,.txt,.md,.png,.jpg,.jpeg"
+            accept=".pdf,.docx,.pptx,.txt,.md,.markdown,.vtt,.srt"
             style={{ display: 'none' }}
             onChange={handleFileChange}
           />
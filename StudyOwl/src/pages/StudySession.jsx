@@ -2,13 +2,37 @@ import PropTypes from 'prop-types'
 import { useRef, useState, useEffect } from 'react'
 import { Link } from 'react-router-dom'
 
+// Reads a server-sent event stream from a fetch response, calling onEvent(event, data) per event
+async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+  for (;;) {
+    const { value, done } = await reader.read()
+    if (done) break
+    buffer += decoder.decode(value, { stream: true })
+    const frames = buffer.split('\n\n')
+    buffer = frames.pop()
+    for (const frame of frames) {
+      const event = frame.match(/^event: (.+)$/m)?.[1]
+      const data = frame.match(/^data: (.+)$/m)?.[1]
+      if (event && data) onEvent(event, JSON.parse(data))
+    }
+  }
+}
+
 function StudySession({ doc, user }) {
   const [mode, setMode] = useState('chat')
   const [messages, setMessages] = useState([])
   const [input, setInput] = useState('')
   const [loading, setLoading] = useState(false)
+  const [outline, setOutline] = useState([])
+  const [previewPage, setPreviewPage] = useState(null)
+  const [sessionId, setSessionId] = useState(null)
   const messagesEndRef = useRef(null)
+  const abortRef = useRef(null)
 
+  const studentId = user?.email || 'anonymous'
   const isPdf = doc.type === 'application/pdf'
   const isImage = doc.type.startsWith('image/')
 
@@ -16,6 +40,114 @@ function StudySession({ doc, user }) {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' })
   }, [messages])
 
+  // Leaving the page cancels an answer still being generated
+  useEffect(() => () => abortRef.current?.abort(), [])
+
+  // Picks up the student's latest conversation about this document, unless they've already
+  // started a new one
+  useEffect(() => {
+    if (!doc.documentId) return
+    const query = new URLSearchParams({ studentId, documentId: doc.documentId })
+    fetch(`http://localhost:8888/api/sessions?${query}`)
+      .then((response) => (response.ok ? response.json() : { sessions: [] }))
+      .then(({ sessions }) => sessions.length > 0 && fetch(`http://localhost:8888/api/sessions/${sessions[0].id}`))
+      .then((response) => (response?.ok ? response.json() : null))
+      .then((session) => {
+        if (!session) return
+        setSessionId((current) => current || session.id)
+        setMessages((prev) => (prev.length > 0 ? prev : session.messages))
+      })
+      .catch((error) => console.error('Session restore error:', error))
+  }, [doc.documentId, studentId])
+
+  useEffect(() => {
+    if (!doc.documentId) return
+    fetch(`http://localhost:8888/api/documents/${doc.documentId}/outline`)
+      .then((response) => (response.ok ? response.json() : { outline: [] }))
+      .then((data) => setOutline(data.outline || []))
+      .catch((error) => console.error('Outline error:', error))
+  }, [doc.documentId])
+
+  // PDFs jump to the section's first page; other formats have no pages to show, so ask about it
+  const handleOutlineClick = (entry) => {
+    if (isPdf) {
+      setPreviewPage(entry.pageStart)
+    } else {
+      setInput(`Explain the section "${entry.title}"`)
+      setMode('chat')
+    }
+  }
+
+  // Citations jump the PDF preview to their page; other formats only show where the passage is
+  const handleSourceClick = (source) => {
+    if (isPdf && source.pageNumber) setPreviewPage(source.pageNumber)
+  }
+
+  const renderSources = (sources) => (
+    <div className="chat-sources">
+      <span className="chat-sources-label">Sources</span>
+      <ul>
+        {sources.map((source) => (
+          <li key={source.chunkId}>
+            <button
+              className="source-chip"
+              type="button"
+              title={source.snippet}
+              onClick={() => handleSourceClick(source)}
+              disabled={!isPdf}
+            >
+              <strong>{source.location}</strong>
+              {source.chunkType !== 'text' && <span className="source-type">{source.chunkType}</span>}
+              <span className="source-snippet">{source.snippet}</span>
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+
+  // The pages, sections, times, figures or tables the backend narrowed the search to
+  const renderFilters = (filters) => (
+    <div className="chat-filters">
+      <span className="chat-sources-label">Searched</span>
+      {filters.map((filter) => {
+        const page = filter.pageNumber ?? filter.start
+        return (
+          <button
+            key={`${filter.type}-${filter.label}`}
+            className="filter-chip"
+            type="button"
+            onClick={() => page && setPreviewPage(page)}
+            disabled={!isPdf || !page}
+          >
+            {filter.label}
+          </button>
+        )
+      })}
+    </div>
+  )
+
+  const renderOutline = (entries) => (
+    <ul className="outline-list">
+      {entries.map((entry, idx) => (
+        <li key={`${entry.pageStart}-${idx}`}>
+          <button className="outline-entry" type="button" onClick={() => handleOutlineClick(entry)}>
+            <span>{entry.title}</span>
+            <span className="outline-pages">
+              {entry.pageEnd > entry.pageStart ? `pp. ${entry.pageStart}-${entry.pageEnd}` : `p. ${entry.pageStart}`}
+            </span>
+          </button>
+          {entry.children.length > 0 && renderOutline(entry.children)}
+        </li>
+      ))}
+    </ul>
+  )
+
+  // Replaces the answer being generated (always the last message)
+  const updateLastMessage = (patch) => {
+    setMessages((prev) => [...prev.slice(0, -1), { ...prev[prev.length - 1], ...patch }])
+  }
+
   const handleSendMessage = async () => {
     if (!input.trim() || loading) return
 
@@ -29,34 +161,67 @@ function StudySession({ doc, user }) {
     setInput('')
     setLoading(true)
 
+    const controller = new AbortController()
+    abortRef.current = controller
+    let streamed = null
+
     try {
-      const response = await fetch('http://localhost:8888/api/chat', {
+      const response = await fetch('http://localhost:8888/api/chat/stream', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           documentId: doc.documentId,
+          studentId,
+          sessionId,
           message: userMessage.content,
-          conversationHistory: messages,
+          // Earlier turns let the backend resolve follow-ups; failed answers are left out
+          conversationHistory: messages.filter((msg) => !msg.failed).map(({ role, content }) => ({ role, content })),
         }),
+        signal: controller.signal,
       })
 
       if (!response.ok) {
         throw new Error('Chat request failed')
       }
 
-      const data = await response.json()
-      setMessages((prev) => [...prev, { role: 'assistant', content: data.reply }])
+      // Raw text is shown while tokens arrive; `done` swaps in the formatted reply and sources
+      streamed = ''
+      setMessages((prev) => [...prev, { role: 'assistant', content: '', streaming: true }])
+      await readEventStream(response, (event, data) => {
+        if (event === 'token') {
+          streamed += data.text
+          updateLastMessage({ content: streamed })
+        } else if (event === 'done') {
+          updateLastMessage({ content: data.reply, sources: data.sources || [], filters: data.filters || [], streaming: false })
+          if (data.sessionId) setSessionId(data.sessionId)
+        } else if (event === 'error') {
+          throw new Error(data.detail || data.error)
+        }
+      })
     } catch (error) {
-      console.error('Chat error:', error)
-      setMessages((prev) => [
-        ...prev,
-        { role: 'assistant', content: 'Sorry, I encountered an error. Please try again.' },
-      ])
+      if (error.name === 'AbortError') {
+        if (streamed !== null) updateLastMessage({ content: streamed, streaming: false, stopped: true })
+      } else {
+        console.error('Chat error:', error)
+        const failed = { role: 'assistant', content: 'Sorry, I encountered an error. Please try again.', failed: true }
+        setMessages((prev) => (streamed !== null ? [...prev.slice(0, -1), failed] : [...prev, failed]))
+      }
     } finally {
+      abortRef.current = null
       setLoading(false)
     }
   }
 
+  const handleStop = () => {
+    abortRef.current?.abort()
+  }
+
+  // The previous conversation stays saved; the next question starts a new session
+  const handleNewChat = () => {
+    setSessionId(null)
+    setMessages([])
+  }
+
   return (
     <main className="home-page">
       <header className="home-header">
@@ -81,7 +246,12 @@ function StudySession({ doc, user }) {
           {isPdf ? (
             <>
               {doc.url && console.log('PDF URL:', doc.url)}
-              <embed src={doc.url} type="application/pdf" className="doc-frame" />
+              <embed
+                key={previewPage || 'start'}
+                src={previewPage ? `${doc.url}#page=${previewPage}` : doc.url}
+                type="application/pdf"
+                className="doc-frame"
+              />
             </>
           ) : isImage ? (
             <img src={doc.url} alt={doc.name} className="doc-image" />
@@ -106,25 +276,48 @@ function StudySession({ doc, user }) {
             >
               Study techniques
             </button>
+            <button
+              className={mode === 'outline' ? 'primary-btn' : 'ghost-btn'}
+              type="button"
+              onClick={() => setMode('outline')}
+            >
+              Outline
+            </button>
           </div>
 
           {mode === 'chat' ? (
             <div className="panel-card chat-container">
-              <h3>Chat about this document</h3>
+              <div className="chat-header">
+                <h3>Chat about this document</h3>
+                {messages.length > 0 && (
+                  <button className="ghost-btn" type="button" onClick={handleNewChat} disabled={loading}>
+                    New chat
+                  </button>
+                )}
+              </div>
               <div className="chat-messages">
                 {messages.length === 0 ? (
                   <p className="chat-empty">Ask me anything about the document!</p>
                 ) : (
                   messages.map((msg, idx) => (
                     <div key={idx} className={`chat-message ${msg.role}`}>
-                      <div 
-                        className="chat-bubble" 
-                        dangerouslySetInnerHTML={{ __html: msg.content.replace(/\n/g, '<br />') }}
-                      />
+                      {msg.streaming || msg.stopped ? (
+                        <div className="chat-bubble streaming">
+                          {msg.content}
+                          {msg.stopped && <span className="chat-stopped"> (stopped)</span>}
+                        </div>
+                      ) : (
+                        <div 
+                          className="chat-bubble" 
+                          dangerouslySetInnerHTML={{ __html: msg.content.replace(/\n/g, '<br />') }}
+                        />
+                      )}
+                      {msg.filters?.length > 0 && renderFilters(msg.filters)}
+                      {msg.sources?.length > 0 && renderSources(msg.sources)}
                     </div>
                   ))
                 )}
-                {loading && (
+                {loading && !messages[messages.length - 1]?.streaming && (
                   <div className="chat-message assistant">
                     <div className="chat-bubble loading">Thinking...</div>
                   </div>
@@ -141,16 +334,31 @@ function StudySession({ doc, user }) {
                   onKeyDown={(e) => e.key === 'Enter' && handleSendMessage()}
                   disabled={loading}
                 />
-                <button
-                  className="primary-btn"
-                  type="button"
-                  onClick={handleSendMessage}
-                  disabled={loading || !input.trim()}
-                >
-                  Send
-                </button>
+                {loading ? (
+                  <button className="ghost-btn" type="button" onClick={handleStop}>
+                    Stop
+                  </button>
+                ) : (
+                  <button
+                    className="primary-btn"
+                    type="button"
+                    onClick={handleSendMessage}
+                    disabled={!input.trim()}
+                  >
+                    Send
+                  </button>
+                )}
               </div>
             </div>
+          ) : mode === 'outline' ? (
+            <div className="panel-card">
+              <h3>Outline</h3>
+              {outline.length > 0 ? (
+                renderOutline(outline)
+              ) : (
+                <p>No sections were detected in this document.</p>
+              )}
+            </div>
           ) : (
             <div className="panel-card">
               <h3>Study techniques</h3>
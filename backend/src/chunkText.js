@@ -1,31 +1,205 @@
 import { v4 as uuidv4 } from 'uuid'
 
-export function* chunkTextGenerator(text, size = 1000, overlap = 150) {
-  if (!text || text.length === 0) return
-  
-  let start = 0
-  const len = text.length
-  
-  // Ensure overlap is less than chunk size to prevent infinite loops
-  const safeOverlap = Math.min(overlap, size - 1)
-  const step = Math.max(1, size - safeOverlap) // Ensure we always move forward
-  
-  while (start < len) {
-    const end = Math.min(start + size, len)
-    const chunk = text.slice(start, end)
-    
-    if (chunk.length > 0) {
-      yield { id: uuidv4(), content: chunk }
+// Structure-aware chunking. Page text is cut into pieces (paragraphs, falling back to sentences
+// and then words for oversized ones) and pieces are packed into chunks of up to maxTokens.
+// [TABLE n] / [FIGURE n] / [GRAPH STRUCTURE] blocks are never split and always get a chunk of
+// their own, even when they exceed maxTokens.
+// Each chunk is { id, content, startOffset, endOffset, tokenCount, kind, blockIndex }, where
+// content === text.slice(startOffset, endOffset), kind is 'text' | 'table' | 'figure' | 'graph'
+// and blockIndex is the n of a table or figure block (null otherwise).
+
+const ATOMIC_BLOCK = /\[(TABLE|FIGURE) (\d+)\][\s\S]*?\[END \1 \2\]|\[GRAPH (STRUCTURE|INTERPRETATION)\][\s\S]*?\[END GRAPH \3\]/g
+const SENTENCE_END = /\n|[.!?]+["'”’)\]]*(?=\s)/g
+const ABBREVIATIONS = new Set(['e.g', 'i.e', 'etc', 'vs', 'fig', 'figs', 'eq', 'eqs', 'dr', 'prof', 'mr', 'mrs', 'ms', 'st', 'no', 'p', 'pp', 'approx', 'cf', 'al', 'ch', 'sec'])
+const HEADING = /^#{1,6}\s/
+
+// Rough token count (~4 characters per word token, ~3 digits per number token, one per symbol),
+// close enough to BPE tokenizers for sizing chunks and prompts without shipping a vocabulary
+export function estimateTokens(text) {
+  let tokens = 0
+  for (const [piece] of (text || '').matchAll(/[\p{L}\p{M}]+|\p{N}+|[^\s\p{L}\p{M}\p{N}]/gu)) {
+    if (/^\p{N}/u.test(piece)) tokens += Math.ceil(piece.length / 3)
+    else if (/^\p{L}/u.test(piece)) tokens += Math.ceil(piece.length / 4)
+    else tokens += 1
+  }
+  return tokens
+}
+
+export function* chunkTextGenerator(text, { maxTokens = 256, overlapTokens = 32 } = {}) {
+  if (!text || text.trim().length === 0) return
+
+  const makeChunk = (pieces, kind = 'text', blockIndex = null) => {
+    const startOffset = pieces[0].start
+    const endOffset = pieces[pieces.length - 1].end
+    return {
+      id: uuidv4(),
+      content: text.slice(startOffset, endOffset),
+      startOffset,
+      endOffset,
+      tokenCount: pieces.reduce((sum, piece) => sum + piece.tokens, 0),
+      kind,
+      blockIndex,
+    }
+  }
+
+  let current = []
+  let currentTokens = 0
+  for (const piece of splitPieces(text, maxTokens)) {
+    if (piece.type !== 'text') {
+      if (current.length > 0) yield makeChunk(current)
+      current = []
+      currentTokens = 0
+      yield makeChunk([piece], piece.type, piece.blockIndex)
+      continue
+    }
+
+    if (current.length > 0 && currentTokens + piece.tokens > maxTokens) {
+      // A heading belongs with the text after it, so carry trailing headings into the next chunk
+      const headings = []
+      while (current.length > 1 && HEADING.test(text.slice(current[current.length - 1].start, current[current.length - 1].end))) {
+        headings.unshift(current.pop())
+      }
+      yield makeChunk(current)
+
+      // The overlap tail is dropped when it does not fit; carried headings never are, even if
+      // that takes the next chunk over maxTokens
+      const carried = [...overlapTail(current, overlapTokens), ...headings]
+      const tokensOf = (pieces) => pieces.reduce((sum, p) => sum + p.tokens, 0)
+      current = tokensOf(carried) + piece.tokens <= maxTokens ? carried : headings
+      currentTokens = tokensOf(current)
+    }
+
+    current.push(piece)
+    currentTokens += piece.tokens
+  }
+  if (current.length > 0) yield makeChunk(current)
+}
+
+export function chunkText(text, options) {
+  return Array.from(chunkTextGenerator(text, options))
+}
+
+// What kind of content a stored chunk holds. Chunks carry a chunkType from indexing; ones
+// indexed before chunks were typed fall back to the markers in their content
+export function chunkTypeOf(chunk) {
+  if (chunk.chunkType) return chunk.chunkType
+  const content = (chunk.content || '').trim()
+  if (content.startsWith('[SPEAKER NOTES]')) return 'speaker-notes'
+  if (/\[GRAPH (STRUCTURE|INTERPRETATION)\]/.test(content)) return 'graph-interpretation'
+  if (/\[FIGURE \d+\]/.test(content)) return 'figure'
+  if (/^\[TABLE \d+\]/.test(content)) return 'table'
+  if (chunk.startTime != null) return 'transcript'
+  return 'text'
+}
+
+export function isFigureChunk(chunk) {
+  const type = chunkTypeOf(chunk)
+  return type === 'figure' || type === 'graph-interpretation'
+}
+
+// Trailing pieces (never the whole chunk) worth up to overlapTokens
+function overlapTail(pieces, overlapTokens) {
+  const tail = []
+  let tokens = 0
+  for (let i = pieces.length - 1; i > 0; i--) {
+    const piece = pieces[i]
+    if (tokens + piece.tokens > overlapTokens) break
+    tail.unshift(piece)
+    tokens += piece.tokens
+  }
+  return tail
+}
+
+// Pieces in page order: { start, end, tokens, type: 'text' | 'table' | 'figure' | 'graph', blockIndex? }
+function splitPieces(text, maxTokens) {
+  const pieces = []
+  const addText = (start, end) => {
+    for (const paragraph of trimmedSpans(text, start, end, /\n[ \t]*\n+/g)) {
+      const tokens = estimateTokens(text.slice(paragraph.start, paragraph.end))
+      if (tokens <= maxTokens) {
+        pieces.push({ ...paragraph, tokens, type: 'text' })
+        continue
+      }
+      for (const sentence of sentenceSpans(text, paragraph.start, paragraph.end)) {
+        const sentenceTokens = estimateTokens(text.slice(sentence.start, sentence.end))
+        if (sentenceTokens <= maxTokens) pieces.push({ ...sentence, tokens: sentenceTokens, type: 'text' })
+        else pieces.push(...wordPieces(text, sentence.start, sentence.end, maxTokens))
+      }
     }
-    
-    // Move to the next chunk position
-    start += step
-    
-    // Stop when we've processed all text
-    if (start >= len) break
   }
+
+  let cursor = 0
+  for (const match of text.matchAll(ATOMIC_BLOCK)) {
+    addText(cursor, match.index)
+    pieces.push({
+      start: match.index,
+      end: match.index + match[0].length,
+      tokens: estimateTokens(match[0]),
+      type: match[1] ? match[1].toLowerCase() : 'graph',
+      blockIndex: match[2] ? Number(match[2]) : null,
+    })
+    cursor = match.index + match[0].length
+  }
+  addText(cursor, text.length)
+  return pieces
+}
+
+// text[start, end) without surrounding whitespace, or null when nothing is left
+function trimSpan(text, start, end) {
+  while (start < end && /\s/.test(text[start])) start++
+  while (end > start && /\s/.test(text[end - 1])) end--
+  return end > start ? { start, end } : null
+}
+
+// Non-empty, trimmed spans of text[start, end) between separator matches
+function trimmedSpans(text, start, end, separator) {
+  const spans = []
+  const segment = text.slice(start, end)
+  let spanStart = 0
+  for (const match of segment.matchAll(separator)) {
+    spans.push(trimSpan(text, start + spanStart, start + match.index))
+    spanStart = match.index + match[0].length
+  }
+  spans.push(trimSpan(text, start + spanStart, end))
+  return spans.filter(Boolean)
+}
+
+// Sentences end at ., ! or ? followed by whitespace (skipping abbreviations and initials), and
+// at line breaks so list items, table rows and transcript lines stay whole
+function sentenceSpans(text, start, end) {
+  const spans = []
+  let spanStart = start
+  const segment = text.slice(start, end)
+  for (const match of segment.matchAll(SENTENCE_END)) {
+    if (match[0] !== '\n' && isAbbreviation(segment, match.index)) continue
+    const cut = start + match.index + match[0].length
+    spans.push(trimSpan(text, spanStart, cut))
+    spanStart = cut
+  }
+  spans.push(trimSpan(text, spanStart, end))
+  return spans.filter(Boolean)
+}
+
+function isAbbreviation(segment, dotIndex) {
+  if (segment[dotIndex] !== '.') return false
+  const word = segment.slice(0, dotIndex).match(/([\p{L}.]+)$/u)?.[1]
+  if (!word) return false
+  return ABBREVIATIONS.has(word.toLowerCase()) || /^\p{Lu}$/u.test(word)
 }
 
-export function chunkText(text, size = 1000, overlap = 150) {
-  return Array.from(chunkTextGenerator(text, size, overlap))
+// Last resort for a sentence longer than maxTokens: greedy runs of whole words
+function wordPieces(text, start, end, maxTokens) {
+  const pieces = []
+  let current = null
+  for (const word of trimmedSpans(text, start, end, /\s+/g)) {
+    const tokens = estimateTokens(text.slice(word.start, word.end))
+    if (current && current.tokens + tokens <= maxTokens) {
+      current.end = word.end
+      current.tokens += tokens
+    } else {
+      current = { ...word, tokens, type: 'text' }
+      pieces.push(current)
+    }
+  }
+  return pieces
 }
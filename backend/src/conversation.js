@@ -0,0 +1,131 @@
+import crypto from 'node:crypto'
+import { estimateTokens } from './chunkText.js'
+import { withRetry } from './retry.js'
+
+// Multi-turn chat. The client sends the conversation so far with every question; this turns it
+// into a standalone retrieval query for follow-ups ("what about the second curve?") and into
+// history messages for the LLM that fit a token budget, folding older turns into a summary.
+
+const REWRITE_TURNS = 4
+const MAX_TURN_CHARS = 600
+const SUMMARY_CACHE_SIZE = 50
+
+// Pronouns, ordinals and openers that lean on an earlier turn
+const FOLLOW_UP = /\b(?:it|its|that|this|those|these|they|them|their|one|ones|above|previous|earlier|same|first|second|third|last|other|another|former|latter)\b|^(?:and|but|so|also|then|why|what about|how about|what if)\b/i
+
+// Chat turns as { role, content } plain text. Assistant replies come back as the HTML the
+// chat endpoint produced, so tags are stripped
+export function normalizeHistory(conversationHistory) {
+  if (!Array.isArray(conversationHistory)) return []
+  return conversationHistory
+    .filter((turn) => (turn?.role === 'user' || turn?.role === 'assistant') && typeof turn.content === 'string')
+    .map((turn) => ({ role: turn.role, content: plainText(turn.content) }))
+    .filter((turn) => turn.content)
+}
+
+function plainText(html) {
+  return html
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&')
+    .trim()
+}
+
+export function looksLikeFollowUp(message) {
+  return FOLLOW_UP.test(message.trim()) || message.trim().split(/\s+/).length <= 4
+}
+
+const transcript = (turns) => turns
+  .map((turn) => `${turn.role === 'user' ? 'Student' : 'Assistant'}: ${turn.content.substring(0, MAX_TURN_CHARS)}`)
+  .join('\n')
+
+// Standalone version of a follow-up question for retrieval, or the message itself when it
+// doesn't need the earlier turns (or the rewrite fails)
+export async function rewriteFollowUp(llm, history, message) {
+  if (history.length === 0 || !looksLikeFollowUp(message)) return message
+
+  const prompt = `Rewrite the student's follow-up question as a standalone question that can be understood without the conversation.
+Keep any page, slide, section, figure or time references, and name the concepts that words like "it" or "the second curve" refer to.
+Reply with the rewritten question only.
+
+Conversation:
+${transcript(history.slice(-REWRITE_TURNS))}
+
+Follow-up question: ${message}
+
+Standalone question:`
+
+  try {
+    const completion = await withRetry(() => llm.complete({
+      messages: [{ role: 'user', content: prompt }],
+      temperature: 0,
+      maxTokens: 100,
+    }), { label: 'Query rewrite', retries: 1 })
+    const rewritten = completion.content.trim().split('\n')[0].replace(/^["']|["']$/g, '').trim()
+    return rewritten || message
+  } catch (error) {
+    console.warn(`   ⚠️ Could not rewrite follow-up, retrieving with the message as is: ${error.message}`)
+    return message
+  }
+}
+
+// Summaries of older turns by content hash, so a long conversation isn't re-summarized on
+// every question
+const summaryCache = new Map()
+
+// History messages within maxTokens: everything if it fits, otherwise the newest turns (three
+// quarters of the budget) preceded by a summary of the rest
+export async function budgetHistory(llm, history, maxTokens) {
+  const turnTokens = (turn) => estimateTokens(turn.content) + 4
+  const total = history.reduce((sum, turn) => sum + turnTokens(turn), 0)
+  if (total <= maxTokens) return history
+  // No room to spare, e.g. a small context window already filled by the instructions
+  if (maxTokens < 1) return []
+
+  let used = 0
+  let keepFrom = history.length
+  while (keepFrom > 0 && used + turnTokens(history[keepFrom - 1]) <= Math.floor(maxTokens * 0.75)) {
+    keepFrom--
+    used += turnTokens(history[keepFrom])
+  }
+  // Start on a question so the model never sees an answer without it
+  while (keepFrom < history.length && history[keepFrom].role !== 'user') keepFrom++
+
+  const recent = history.slice(keepFrom)
+  const summary = await summarizeTurns(llm, history.slice(0, keepFrom), maxTokens - used)
+  return summary
+    ? [{ role: 'system', content: `Summary of the earlier conversation:\n${summary}` }, ...recent]
+    : recent
+}
+
+async function summarizeTurns(llm, turns, maxTokens) {
+  const key = crypto.createHash('sha1').update(JSON.stringify(turns)).digest('hex')
+  if (summaryCache.has(key)) return summaryCache.get(key)
+
+  const prompt = `Summarize the earlier part of this study conversation in at most ${Math.max(30, Math.floor(maxTokens * 0.6))} words.
+Keep the topics, pages, figures and conclusions the student may refer back to.
+
+Conversation:
+${transcript(turns)}
+
+Summary:`
+
+  try {
+    const completion = await withRetry(() => llm.complete({
+      messages: [{ role: 'user', content: prompt }],
+      temperature: 0,
+      maxTokens,
+    }), { label: 'History summary', retries: 1 })
+    const summary = completion.content.trim()
+    summaryCache.set(key, summary)
+    if (summaryCache.size > SUMMARY_CACHE_SIZE) summaryCache.delete(summaryCache.keys().next().value)
+    console.log(`   🧾 Summarized ${turns.length} earlier turns`)
+    return summary
+  } catch (error) {
+    console.warn(`   ⚠️ Could not summarize earlier turns, dropping them: ${error.message}`)
+    return null
+  }
+}
@@ -0,0 +1,422 @@
+import { AzureKeyCredential, DocumentAnalysisClient } from '@azure/ai-form-recognizer'
+import { getDocument, OPS } from 'pdfjs-dist/legacy/build/pdf.mjs'
+import { PDFDocument } from 'pdf-lib'
+import { withRetry } from './retry.js'
+
+// Document-analysis providers turn a PDF into the layout shape extractPageTexts() consumes:
+//
+//   { pages: [{ pageNumber, width, height, unit, lines: [{ content, polygon }],
+//               tables: [{ rowCount, columnCount, cells: [{ rowIndex, columnIndex, content }],
+//                          caption?, boundingRegions? }],
+//               figures: [{ caption, boundingRegions? }], headings?: [{ content, role }] }] }
+//
+// boundingRegions are [{ pageNumber, polygon: [{ x, y }] }] in the page's unit, top-left origin.
+//
+// Each provider exposes analyzeBatch(pdfBytes) for a sub-PDF plus pagesPerBatch/concurrency
+// settings; analyzeDocument() does the splitting, runs batches through a bounded pool and
+// reassembles pages in absolute page order.
+// Batches are checkpointable: getCachedBatch() can hand back pages saved by an earlier
+// attempt, and onBatch() receives every finished batch so the caller can persist it.
+
+export const DOCUMENT_ANALYSIS_PROVIDERS = ['azure', 'local']
+
+export function createDocumentAnalyzer(config) {
+  if (config.provider === 'azure') return createAzureAnalyzer(config)
+  if (config.provider === 'local') return createLocalAnalyzer(config)
+  throw new Error(`Unknown document analysis provider "${config.provider}" (expected one of: ${DOCUMENT_ANALYSIS_PROVIDERS.join(', ')})`)
+}
+
+export async function analyzeDocument(analyzer, pdfBuffer, { onBatch, getCachedBatch } = {}) {
+  const pdfDoc = await PDFDocument.load(pdfBuffer)
+  const totalPages = pdfDoc.getPageCount()
+  const { pagesPerBatch, concurrency } = analyzer
+  console.log(`   Total pages in PDF: ${totalPages} (batches of ${pagesPerBatch}, ${concurrency} at a time)`)
+
+  const batches = []
+  for (let i = 0; i < totalPages; i += pagesPerBatch) {
+    batches.push({ startPage: i + 1, endPage: Math.min(i + pagesPerBatch, totalPages) })
+  }
+
+  // Batches finish out of order: collect pages per batch, count finished pages for progress,
+  // and run onBatch callbacks one at a time so progress never goes backwards
+  const pagesByBatch = new Array(batches.length)
+  let pagesProcessed = 0
+  let callbacks = Promise.resolve()
+  const reportBatch = (batch, pages, cached) => {
+    pagesProcessed += batch.endPage - batch.startPage + 1
+    const snapshot = { ...batch, pages, cached, pagesProcessed, totalPages }
+    callbacks = callbacks.then(() => onBatch?.(snapshot))
+    return callbacks
+  }
+
+  await runWithConcurrency(batches, concurrency, async (batch, batchIndex) => {
+    const { startPage, endPage } = batch
+
+    const cachedPages = getCachedBatch ? await getCachedBatch(batch) : null
+    if (cachedPages) {
+      console.log(`   Pages ${startPage}-${endPage} restored from checkpoint`)
+      pagesByBatch[batchIndex] = cachedPages
+      return reportBatch(batch, cachedPages, true)
+    }
+
+    console.log(`   Processing pages ${startPage}-${endPage}...`)
+
+    // Create a sub-PDF with this batch of pages
+    const subPdf = await PDFDocument.create()
+    for (let pageIdx = startPage - 1; pageIdx < endPage; pageIdx++) {
+      const [copiedPage] = await subPdf.copyPages(pdfDoc, [pageIdx])
+      subPdf.addPage(copiedPage)
+    }
+    const subPdfBytes = await subPdf.save()
+
+    const batchResult = await withRetry(() => analyzer.analyzeBatch(subPdfBytes), {
+      label: `Analysis of pages ${startPage}-${endPage}`,
+    })
+    console.log(`      Got ${batchResult.pages?.length || 0} pages from pages ${startPage}-${endPage}`)
+
+    // Normalize page numbers to absolute positions in the original PDF
+    const pages = (batchResult.pages || []).map((p, idx) => ({ ...p, pageNumber: startPage + idx }))
+    pagesByBatch[batchIndex] = pages
+    return reportBatch(batch, pages, false)
+  })
+  await callbacks
+
+  return { pages: pagesByBatch.flat(), totalPages }
+}
+
+// Bounded worker pool. After the first failure no new items start; in-flight items are allowed
+// to finish (so their checkpoints land) and then the first error is rethrown.
+async function runWithConcurrency(items, limit, fn) {
+  let next = 0
+  let firstError = null
+
+  const worker = async () => {
+    while (!firstError && next < items.length) {
+      const index = next++
+      try {
+        await fn(items[index], index)
+      } catch (error) {
+        firstError ??= error
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker))
+  if (firstError) throw firstError
+}
+
+//
+// Azure Document Intelligence (prebuilt-layout)
+//
+function createAzureAnalyzer({ endpoint, apiKey, pagesPerBatch = 2, concurrency = 4 }) {
+  if (!endpoint || !apiKey) {
+    throw new Error('Missing Document Intelligence endpoint/key env vars')
+  }
+  const docClient = new DocumentAnalysisClient(endpoint, new AzureKeyCredential(apiKey))
+  console.log('✓ Document Analysis client initialized')
+
+  return {
+    name: 'azure',
+    // WORKAROUND for eastus2 legacy endpoint: sync mode only processes the first 2 pages
+    pagesPerBatch,
+    concurrency,
+    async analyzeBatch(pdfBytes) {
+      const poller = await docClient.beginAnalyzeDocument('prebuilt-layout', pdfBytes, {
+        contentType: 'application/pdf',
+        locale: 'en-US',
+      })
+      const result = await poller.pollUntilDone()
+
+      // Paragraph roles, tables and figures live at the document level; keep them with their
+      // page so section detection and chunking still see them after batches are merged by page
+      const headings = (result.paragraphs || []).filter((p) => p.role === 'title' || p.role === 'sectionHeading')
+      const onPage = (items, page) => (items || []).filter((item) => item.boundingRegions?.[0]?.pageNumber === page.pageNumber)
+      return {
+        ...result,
+        pages: (result.pages || []).map((page) => ({
+          ...page,
+          headings: onPage(headings, page).map((p) => ({ content: p.content, role: p.role })),
+          tables: onPage(result.tables, page).map((table) => ({
+            rowCount: table.rowCount,
+            columnCount: table.columnCount,
+            cells: table.cells.map(({ rowIndex, columnIndex, content }) => ({ rowIndex, columnIndex, content })),
+            caption: table.caption?.content,
+            boundingRegions: table.boundingRegions,
+          })),
+          figures: onPage(result.figures, page).map((figure) => ({
+            caption: figure.caption?.content,
+            boundingRegions: figure.boundingRegions,
+          })),
+        })),
+      }
+    },
+  }
+}
+
+//
+// Local extraction with pdf.js: text lines, column-aligned tables and figure placeholders
+//
+// pdf.js parses on the main thread, so extra concurrency only helps on multi-core hosts
+function createLocalAnalyzer({ pagesPerBatch = 10, concurrency = 1 }) {
+  console.log('✓ Local PDF analyzer initialized')
+
+  return {
+    name: 'local',
+    pagesPerBatch,
+    concurrency,
+    async analyzeBatch(pdfBytes) {
+      const pdf = await getDocument({
+        data: new Uint8Array(pdfBytes),
+        isEvalSupported: false,
+        disableFontFace: true,
+        verbosity: 0,
+      }).promise
+
+      try {
+        const analyzed = []
+        for (let n = 1; n <= pdf.numPages; n++) {
+          const page = await pdf.getPage(n)
+          analyzed.push(await analyzePdfPage(page, n))
+          page.cleanup()
+        }
+
+        // Logos and letterheads sit at the same size and place on most pages; they aren't figures
+        const repeated = repeatedImageKeys(analyzed.map(({ images }) => images))
+        const pages = analyzed.map(({ page, images, pathCount }) => ({
+          ...page,
+          figures: detectFigures(page.lines, images.filter((image) => !repeated.has(image.key)), pathCount),
+        }))
+        return { pages }
+      } finally {
+        await pdf.destroy()
+      }
+    },
+  }
+}
+
+// The page without figures, plus what figure detection needs once the whole batch is read:
+// the images drawn on the page and its vector path count
+async function analyzePdfPage(page, pageNumber) {
+  const [, , width, height] = page.view
+  const textContent = await page.getTextContent()
+  const lines = groupTextIntoLines(textContent.items, height)
+
+  const operatorList = await page.getOperatorList()
+  const { images, pathCount } = scanDrawing(operatorList)
+
+  return {
+    page: {
+      pageNumber,
+      width,
+      height,
+      unit: 'point',
+      lines: lines.map((line) => ({ content: line.content, polygon: line.polygon })),
+      tables: detectTables(lines, pageNumber),
+    },
+    images,
+    pathCount,
+  }
+}
+
+// pdf.js returns positioned text runs; merge runs sharing a baseline into reading-order lines
+function groupTextIntoLines(items, pageHeight) {
+  const runs = items
+    .filter((item) => item.str && item.str.trim().length > 0)
+    .map((item) => {
+      const [, , , scaleY, x, y] = item.transform
+      const fontSize = Math.abs(scaleY) || item.height || 10
+      return { text: item.str, x, y, width: item.width, fontSize }
+    })
+    .sort((a, b) => b.y - a.y || a.x - b.x)
+
+  const rows = []
+  for (const run of runs) {
+    const row = rows.find((r) => Math.abs(r.y - run.y) <= Math.max(2, run.fontSize * 0.4))
+    if (row) row.runs.push(run)
+    else rows.push({ y: run.y, runs: [run] })
+  }
+
+  return rows
+    .sort((a, b) => b.y - a.y)
+    .map((row) => {
+      const sorted = row.runs.sort((a, b) => a.x - b.x)
+      const fontSize = Math.max(...sorted.map((r) => r.fontSize))
+
+      // Split the row into cells wherever there is a wide horizontal gap between runs
+      const cells = []
+      let current = null
+      for (const run of sorted) {
+        const gap = current ? run.x - (current.x + current.width) : 0
+        if (current && gap <= fontSize * 1.5) {
+          current.text += gap > fontSize * 0.15 && !current.text.endsWith(' ') ? ` ${run.text}` : run.text
+          current.width = run.x + run.width - current.x
+        } else {
+          current = { text: run.text, x: run.x, width: run.width }
+          cells.push(current)
+        }
+      }
+
+      const left = sorted[0].x
+      const right = Math.max(...sorted.map((r) => r.x + r.width))
+      // Flip to top-left origin like Document Intelligence polygons
+      const top = pageHeight - row.y - fontSize
+      const bottom = pageHeight - row.y
+      return {
+        content: cells.map((c) => c.text.trim()).join(' '),
+        cells: cells.map((c) => ({ content: c.text.trim(), x: c.x, right: c.x + c.width })),
+        fontSize,
+        polygon: [
+          { x: left, y: top },
+          { x: right, y: top },
+          { x: right, y: bottom },
+          { x: left, y: bottom },
+        ],
+      }
+    })
+}
+
+// Rows whose cells run on for this many words are text columns, not table cells
+const PROSE_CELL_WORDS = 6
+
+// A table is a run of at least two consecutive lines split into the same number (>= 2) of cells
+// whose columns line up from row to row. Two-column layouts line up too, so runs where most rows
+// are long text in every cell are skipped. Its region is the box around those lines
+function detectTables(lines, pageNumber) {
+  const tables = []
+  let block = []
+
+  const isProseRow = (line) => line.cells.every((cell) => cell.content.split(/\s+/).length >= PROSE_CELL_WORDS)
+
+  const flush = () => {
+    if (block.length >= 2 && block.filter(isProseRow).length * 2 < block.length) {
+      const columnCount = block[0].cells.length
+      tables.push({
+        rowCount: block.length,
+        columnCount,
+        cells: block.flatMap((line, rowIndex) =>
+          line.cells.map((cell, columnIndex) => ({ rowIndex, columnIndex, content: cell.content })),
+        ),
+        boundingRegions: [{ pageNumber, polygon: boundingBox(block.map((line) => line.polygon)) }],
+      })
+    }
+    block = []
+  }
+
+  for (const line of lines) {
+    const isRow = line.cells.length >= 2
+    if (isRow && (block.length === 0 || columnsAligned(block[block.length - 1], line))) {
+      block.push(line)
+    } else {
+      flush()
+      if (isRow) block.push(line)
+    }
+  }
+  flush()
+
+  return tables
+}
+
+// Same number of cells, each starting, ending or centred within a character width of the one
+// above (text columns are left-aligned, numbers right-aligned, headers often centred)
+function columnsAligned(above, line) {
+  if (above.cells.length !== line.cells.length) return false
+  const tolerance = Math.max(above.fontSize, line.fontSize)
+  return line.cells.every((cell, i) => {
+    const other = above.cells[i]
+    return Math.abs(cell.x - other.x) <= tolerance
+      || Math.abs(cell.right - other.right) <= tolerance
+      || Math.abs((cell.x + cell.right) / 2 - (other.x + other.right) / 2) <= tolerance
+  })
+}
+
+function boundingBox(polygons) {
+  const points = polygons.flat()
+  const [left, right] = [Math.min(...points.map((p) => p.x)), Math.max(...points.map((p) => p.x))]
+  const [top, bottom] = [Math.min(...points.map((p) => p.y)), Math.max(...points.map((p) => p.y))]
+  return [{ x: left, y: top }, { x: right, y: top }, { x: right, y: bottom }, { x: left, y: bottom }]
+}
+
+const IMAGE_OPS = new Set([OPS.paintImageXObject, OPS.paintInlineImageXObject, OPS.paintImageMaskXObject])
+const MIN_VECTOR_PATHS_FOR_FIGURE = 25
+// Images smaller than this on either side (points; 72 = one inch) are icons, bullets or logos
+const MIN_FIGURE_IMAGE_SIZE = 72
+// An image drawn at the same size and place on at least this share of a batch's pages (and on
+// two or more) is page furniture
+const REPEATED_IMAGE_SHARE = 0.5
+
+// Images drawn on the page with their size and position in points, and the number of vector
+// paths. pdf.js draws every image into the unit square, so the current transformation matrix
+// at the paint operation gives its placement
+function scanDrawing(operatorList) {
+  const images = []
+  let pathCount = 0
+  let ctm = [1, 0, 0, 1, 0, 0]
+  const saved = []
+
+  operatorList.fnArray.forEach((op, i) => {
+    const args = operatorList.argsArray[i]
+    if (op === OPS.save) {
+      saved.push(ctm)
+    } else if (op === OPS.restore) {
+      ctm = saved.pop() || ctm
+    } else if (op === OPS.transform) {
+      ctm = multiplyTransforms(args, ctm)
+    } else if (op === OPS.paintFormXObjectBegin) {
+      saved.push(ctm)
+      if (args?.[0]) ctm = multiplyTransforms(args[0], ctm)
+    } else if (op === OPS.paintFormXObjectEnd) {
+      ctm = saved.pop() || ctm
+    } else if (op === OPS.constructPath) {
+      pathCount++
+    } else if (IMAGE_OPS.has(op)) {
+      const width = Math.hypot(ctm[0], ctm[1])
+      const height = Math.hypot(ctm[2], ctm[3])
+      const key = [width, height, ctm[4], ctm[5]].map((n) => Math.round(n / 2)).join(':')
+      if (!images.some((image) => image.key === key)) images.push({ key, width, height })
+    }
+  })
+
+  return { images, pathCount }
+}
+
+// [a, b, c, d, e, f] matrices: m applied after ctm
+function multiplyTransforms(m, ctm) {
+  return [
+    m[0] * ctm[0] + m[1] * ctm[2],
+    m[0] * ctm[1] + m[1] * ctm[3],
+    m[2] * ctm[0] + m[3] * ctm[2],
+    m[2] * ctm[1] + m[3] * ctm[3],
+    m[4] * ctm[0] + m[5] * ctm[2] + ctm[4],
+    m[4] * ctm[1] + m[5] * ctm[3] + ctm[5],
+  ]
+}
+
+function repeatedImageKeys(imagesPerPage) {
+  const pageCounts = new Map()
+  for (const images of imagesPerPage) {
+    for (const { key } of images) pageCounts.set(key, (pageCounts.get(key) || 0) + 1)
+  }
+  const minPages = Math.max(2, Math.ceil(imagesPerPage.length * REPEATED_IMAGE_SHARE))
+  return new Set([...pageCounts].filter(([, count]) => count >= minPages).map(([key]) => key))
+}
+
+// pdf.js cannot tell us what a picture shows, so emit placeholders: one per "Figure N" caption,
+// otherwise one per figure-sized image (repeated page furniture already removed), otherwise one
+// if the page draws a lot of vector paths (charts)
+function detectFigures(lines, images, pathCount) {
+  const captions = lines
+    .map((line) => line.content)
+    .filter((content) => /^(figure|fig\.?)\s*\d+/i.test(content))
+  if (captions.length > 0) {
+    return captions.map((caption) => ({ caption }))
+  }
+
+  const figureImages = images.filter((image) => image.width >= MIN_FIGURE_IMAGE_SIZE && image.height >= MIN_FIGURE_IMAGE_SIZE)
+  if (figureImages.length > 0) {
+    return figureImages.map(() => ({ caption: undefined }))
+  }
+  if (pathCount >= MIN_VECTOR_PATHS_FOR_FIGURE) {
+    return [{ caption: undefined }]
+  }
+  return []
+}
@@ -0,0 +1,671 @@
+import path from 'node:path'
+import { strFromU8, unzipSync } from 'fflate'
+import { XMLParser } from 'fast-xml-parser'
+import { looksLikeHeading, parseSectionNumber } from './sections.js'
+
+// Upload formats. PDFs go through document analysis; the other formats are extracted directly
+// into the per-page shape extractPageTexts() produces:
+//
+//   [{ pageNumber, text, figureMetadata: [], sectionTitle, speakerNotes?, startTime?, endTime? }]
+//
+// DOCX, TXT and Markdown have no pages, so each top-level heading starts a new page (section),
+// and long sections or heading-less files are cut at block boundaries into pages of
+// ~MAX_PAGE_CHARS. PPTX decks get one page per slide with pageNumber = slide number, the slide
+// title as sectionTitle and the speaker notes kept apart in speakerNotes. VTT/SRT captions are
+// grouped into SEGMENT_SECONDS time windows, one page per window, with startTime/endTime in
+// seconds and every caption line prefixed with its [m:ss] timestamp.
+// Headings keep their Markdown markers, list items their bullets/numbers and nesting, and tables
+// use the same [TABLE n] ... [END TABLE n] blocks as PDF pages.
+
+export const DOCUMENT_FORMATS = {
+  pdf: { label: 'PDF', contentType: 'application/pdf', extensions: ['.pdf'] },
+  docx: {
+    label: 'Word (DOCX)',
+    contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    extensions: ['.docx'],
+  },
+  text: { label: 'plain text', contentType: 'text/plain', extensions: ['.txt'] },
+  markdown: { label: 'Markdown', contentType: 'text/markdown', extensions: ['.md', '.markdown'] },
+  pptx: {
+    label: 'PowerPoint (PPTX)',
+    contentType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    extensions: ['.pptx'],
+  },
+  vtt: { label: 'WebVTT captions', contentType: 'text/vtt', extensions: ['.vtt'] },
+  srt: { label: 'SRT captions', contentType: 'application/x-subrip', extensions: ['.srt'] },
+}
+
+export const TRANSCRIPT_FORMATS = ['vtt', 'srt']
+
+// Browsers disagree on MIME types for Markdown and Office files, so a known extension wins
+export function detectDocumentFormat({ mimetype, originalname = '' }) {
+  const extension = path.extname(originalname).toLowerCase()
+  const formats = Object.entries(DOCUMENT_FORMATS)
+  const match = formats.find(([, format]) => format.extensions.includes(extension))
+    || formats.find(([, format]) => format.contentType === mimetype)
+  return match ? match[0] : null
+}
+
+export function extractTextPages(buffer, format) {
+  if (format === 'docx') return paginateBlocks(parseDocxBlocks(buffer))
+  if (format === 'markdown') return paginateBlocks(parseTextBlocks(decodeText(buffer), { markdown: true }))
+  if (format === 'text') return paginateBlocks(parseTextBlocks(decodeText(buffer), { markdown: false }))
+  if (format === 'pptx') return parsePptxSlides(buffer)
+  if (TRANSCRIPT_FORMATS.includes(format)) return segmentCues(parseCaptionCues(decodeText(buffer)))
+  throw new Error(`No text extractor for format "${format}"`)
+}
+
+function decodeText(buffer) {
+  return buffer.toString('utf8').replace(/^\uFEFF/, '')
+}
+
+//
+// Blocks -> pages
+//
+// Blocks are { type: 'heading', level, text } | { type: 'paragraph', text } |
+// { type: 'list', items: [{ level, ordered, number, text }] } | { type: 'table', rows: [[cell]] }
+//
+const MAX_PAGE_CHARS = 4000
+
+function paginateBlocks(blocks) {
+  // Split on the highest heading level present (usually H1; H2 when a file has no H1)
+  const headingLevels = blocks.filter((block) => block.type === 'heading').map((block) => block.level)
+  const splitLevel = headingLevels.length > 0 ? Math.min(...headingLevels) : null
+
+  const pages = []
+  let current = null
+  const startPage = (sectionTitle) => {
+    current = { sectionTitle, blocks: [], length: 0 }
+    pages.push(current)
+  }
+
+  for (const block of blocks) {
+    const length = renderBlock(block, 1).length
+    if (block.type === 'heading' && block.level === splitLevel) {
+      startPage(block.text)
+    } else if (!current || (current.length > 0 && current.length + length > MAX_PAGE_CHARS)) {
+      startPage(current?.sectionTitle ?? null)
+    }
+    current.blocks.push(block)
+    current.length += length
+  }
+
+  return pages.map((page, idx) => ({
+    pageNumber: idx + 1,
+    text: renderBlocks(page.blocks),
+    figureMetadata: [],
+    sectionTitle: page.sectionTitle,
+  }))
+}
+
+// Tables are numbered per page, like the [TABLE n] blocks on PDF pages
+function renderBlocks(blocks) {
+  let tableCount = 0
+  return blocks
+    .map((block) => renderBlock(block, block.type === 'table' ? ++tableCount : 0))
+    .join('\n\n')
+}
+
+function renderBlock(block, tableNumber) {
+  if (block.type === 'heading') return `${'#'.repeat(block.level)} ${block.text}`
+  if (block.type === 'list') {
+    return block.items
+      .map((item) => `${'  '.repeat(item.level)}${item.ordered ? `${item.number}.` : '-'} ${item.text}`)
+      .join('\n')
+  }
+  if (block.type === 'table') {
+    const rows = block.rows.map((row) => row.join(' | ')).join('\n')
+    return `[TABLE ${tableNumber}]\n${rows}\n[END TABLE ${tableNumber}]`
+  }
+  return block.text
+}
+
+//
+// Plain text and Markdown
+//
+const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/
+const TABLE_DIVIDER = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/
+
+function parseTextBlocks(text, { markdown }) {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n')
+  const blocks = []
+  let paragraph = []
+  let list = null
+
+  const flushParagraph = () => {
+    // Plain text has no heading markup; a lone numbered line ("2.1 Costs", "Chapter 3") is one
+    if (!markdown && paragraph.length === 1 && looksLikeHeading(paragraph[0], { numberedOnly: true })) {
+      blocks.push({ type: 'heading', level: Math.min(parseSectionNumber(paragraph[0].trim()).level, 6), text: paragraph[0].trim() })
+    } else if (paragraph.length > 0) {
+      blocks.push({ type: 'paragraph', text: paragraph.join('\n') })
+    }
+    paragraph = []
+  }
+  const flushList = () => {
+    if (list) blocks.push(list)
+    list = null
+  }
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i]
+
+    if (!line.trim()) {
+      flushParagraph()
+      flushList()
+      continue
+    }
+
+    if (markdown) {
+      // Fenced code is kept verbatim, fences included
+      if (/^\s*(```|~~~)/.test(line)) {
+        flushParagraph()
+        flushList()
+        const fence = line.trim().substring(0, 3)
+        const code = [line]
+        while (i + 1 < lines.length) {
+          code.push(lines[++i])
+          if (lines[i].trim().startsWith(fence)) break
+        }
+        blocks.push({ type: 'paragraph', text: code.join('\n') })
+        continue
+      }
+
+      const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/)
+      if (heading) {
+        flushParagraph()
+        flushList()
+        blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] })
+        continue
+      }
+
+      // Setext headings: a paragraph underlined with === (H1) or --- (H2)
+      if (/^\s*(=+|-+)\s*$/.test(line)) {
+        if (paragraph.length > 0) {
+          blocks.push({ type: 'heading', level: line.includes('=') ? 1 : 2, text: paragraph.join(' ') })
+          paragraph = []
+        } else {
+          flushList() // thematic break
+        }
+        continue
+      }
+
+      if (line.includes('|') && TABLE_DIVIDER.test(lines[i + 1] || '')) {
+        flushParagraph()
+        flushList()
+        const rows = [splitTableRow(line)]
+        i++ // skip the divider
+        while (i + 1 < lines.length && lines[i + 1].includes('|') && lines[i + 1].trim()) {
+          rows.push(splitTableRow(lines[++i]))
+        }
+        blocks.push({ type: 'table', rows })
+        continue
+      }
+    }
+
+    const item = line.match(LIST_ITEM)
+    if (item) {
+      flushParagraph()
+      const [, indent, marker, itemText] = item
+      const ordered = /\d/.test(marker)
+      list ??= { type: 'list', items: [] }
+      list.items.push({
+        level: Math.floor(indent.replace(/\t/g, '    ').length / 2),
+        ordered,
+        number: ordered ? parseInt(marker, 10) : null,
+        text: itemText.trim(),
+      })
+      continue
+    }
+
+    // Indented lines continue the previous list item
+    if (list && /^\s+\S/.test(line)) {
+      list.items[list.items.length - 1].text += ` ${line.trim()}`
+      continue
+    }
+
+    flushList()
+    paragraph.push(line.trim())
+  }
+
+  flushParagraph()
+  flushList()
+  return blocks
+}
+
+function splitTableRow(line) {
+  return line
+    .trim()
+    .replace(/^\|/, '')
+    .replace(/(?<!\\)\|$/, '')
+    .split(/(?<!\\)\|/)
+    .map((cell) => cell.trim().replace(/\\\|/g, '|'))
+}
+
+//
+// DOCX (WordprocessingML)
+//
+const DOCX_PARTS = ['word/document.xml', 'word/styles.xml', 'word/numbering.xml']
+
+const xmlParser = new XMLParser({
+  preserveOrder: true,
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  trimValues: false,
+  parseTagValue: false,
+  parseAttributeValue: false,
+})
+
+// With preserveOrder every node is { [tag]: children, ':@': attributes }
+const tagOf = (node) => Object.keys(node).find((key) => key !== ':@')
+const childrenOf = (node) => (node && Array.isArray(node[tagOf(node)]) ? node[tagOf(node)] : [])
+const findChild = (nodes, tag) => nodes.find((node) => tagOf(node) === tag)
+const attrOf = (node, name) => node?.[':@']?.[name]
+
+function parseXmlPart(files, name) {
+  return files[name] ? xmlParser.parse(strFromU8(files[name])) : null
+}
+
+function parseDocxBlocks(buffer) {
+  let files
+  try {
+    files = unzipSync(new Uint8Array(buffer), { filter: (file) => DOCX_PARTS.includes(file.name) })
+  } catch (error) {
+    throw new Error(`Could not open DOCX archive: ${error.message}`)
+  }
+
+  const document = parseXmlPart(files, 'word/document.xml')
+  if (!document) {
+    throw new Error('Not a valid DOCX file (word/document.xml is missing)')
+  }
+  const headingStyles = readHeadingStyles(parseXmlPart(files, 'word/styles.xml'))
+  const numberFormats = readNumberFormats(parseXmlPart(files, 'word/numbering.xml'))
+  const body = findChild(childrenOf(findChild(document, 'w:document')), 'w:body')
+
+  const blocks = []
+  const listCounters = new Map() // numId -> counter per indent level
+
+  const walk = (nodes) => {
+    for (const node of nodes) {
+      const tag = tagOf(node)
+      if (tag === 'w:p') {
+        addParagraph(node)
+      } else if (tag === 'w:tbl') {
+        const rows = childrenOf(node)
+          .filter((row) => tagOf(row) === 'w:tr')
+          .map((row) => childrenOf(row)
+            .filter((cell) => tagOf(cell) === 'w:tc')
+            .map((cell) => collectText(childrenOf(cell), 'w').replace(/\s*\n\s*/g, ' ').trim()))
+          .filter((row) => row.length > 0)
+        if (rows.length > 0) blocks.push({ type: 'table', rows })
+      } else if (tag === 'w:sdt') {
+        // Content controls (e.g. a table of contents) wrap ordinary paragraphs
+        walk(childrenOf(findChild(childrenOf(node), 'w:sdtContent') || {}))
+      }
+    }
+  }
+
+  const addParagraph = (node) => {
+    const children = childrenOf(node)
+    const text = collectText(children, 'w').replace(/\n+$/, '').trim()
+    if (!text) return
+
+    const props = childrenOf(findChild(children, 'w:pPr') || {})
+    const styleId = attrOf(findChild(props, 'w:pStyle'), 'w:val')
+    const outlineLevel = attrOf(findChild(props, 'w:outlineLvl'), 'w:val')
+    const headingLevel = headingStyles.get(styleId)
+      ?? (outlineLevel !== undefined && Number(outlineLevel) < 9 ? Number(outlineLevel) + 1 : null)
+      ?? (/^heading\s*(\d)$/i.test(styleId || '') ? Number(styleId.match(/\d/)[0]) : null)
+
+    if (headingLevel) {
+      blocks.push({ type: 'heading', level: Math.min(headingLevel, 6), text })
+      return
+    }
+
+    const numbering = childrenOf(findChild(props, 'w:numPr') || {})
+    const numId = attrOf(findChild(numbering, 'w:numId'), 'w:val')
+    if (numId && numId !== '0') {
+      const level = Number(attrOf(findChild(numbering, 'w:ilvl'), 'w:val') || 0)
+      const format = numberFormats.get(numId)?.get(level) || 'bullet'
+      const ordered = format !== 'bullet' && format !== 'none'
+
+      // Count per list and level; a new item resets the numbering of deeper levels
+      const counters = listCounters.get(numId) || []
+      counters[level] = (counters[level] || 0) + 1
+      counters.length = level + 1
+      listCounters.set(numId, counters)
+
+      const previous = blocks[blocks.length - 1]
+      const list = previous?.type === 'list' ? previous : { type: 'list', items: [] }
+      if (list !== previous) blocks.push(list)
+      list.items.push({ level, ordered, number: ordered ? counters[level] : null, text })
+      return
+    }
+
+    blocks.push({ type: 'paragraph', text })
+  }
+
+  walk(childrenOf(body || {}))
+  return blocks
+}
+
+// Text runs in document order; tabs and breaks become whitespace and every paragraph ends in a
+// newline. prefix is the text namespace: 'w' for Word, 'a' for DrawingML text in slides.
+function collectText(nodes, prefix) {
+  let text = ''
+  for (const node of nodes) {
+    const tag = tagOf(node)
+    if (tag === `${prefix}:t`) text += childrenOf(node).map((child) => child['#text'] ?? '').join('')
+    else if (tag === `${prefix}:tab`) text += '\t'
+    else if (tag === `${prefix}:br` || tag === `${prefix}:cr`) text += '\n'
+    else if (tag === `${prefix}:p`) text += `${collectText(childrenOf(node), prefix)}\n`
+    else if (tag !== '#text' && tag !== `${prefix}:pPr` && tag !== `${prefix}:rPr`) {
+      text += collectText(childrenOf(node), prefix)
+    }
+  }
+  return text
+}
+
+// styleId -> heading level, from style names ("heading 2", "Title") or outline levels
+function readHeadingStyles(styles) {
+  const levels = new Map()
+  if (!styles) return levels
+
+  for (const style of childrenOf(findChild(styles, 'w:styles')).filter((node) => tagOf(node) === 'w:style')) {
+    const children = childrenOf(style)
+    const name = attrOf(findChild(children, 'w:name'), 'w:val') || ''
+    const outlineLevel = attrOf(findChild(childrenOf(findChild(children, 'w:pPr') || {}), 'w:outlineLvl'), 'w:val')
+
+    const heading = name.match(/^heading\s*(\d)$/i)
+    if (heading) levels.set(attrOf(style, 'w:styleId'), Number(heading[1]))
+    else if (/^title$/i.test(name)) levels.set(attrOf(style, 'w:styleId'), 1)
+    else if (outlineLevel !== undefined && Number(outlineLevel) < 9) {
+      levels.set(attrOf(style, 'w:styleId'), Number(outlineLevel) + 1)
+    }
+  }
+  return levels
+}
+
+// numId -> (indent level -> number format such as "bullet" or "decimal")
+function readNumberFormats(numbering) {
+  const formats = new Map()
+  if (!numbering) return formats
+
+  const nodes = childrenOf(findChild(numbering, 'w:numbering'))
+  const abstractFormats = new Map()
+  for (const abstract of nodes.filter((node) => tagOf(node) === 'w:abstractNum')) {
+    const levels = new Map()
+    for (const lvl of childrenOf(abstract).filter((node) => tagOf(node) === 'w:lvl')) {
+      levels.set(Number(attrOf(lvl, 'w:ilvl')), attrOf(findChild(childrenOf(lvl), 'w:numFmt'), 'w:val'))
+    }
+    abstractFormats.set(attrOf(abstract, 'w:abstractNumId'), levels)
+  }
+  for (const num of nodes.filter((node) => tagOf(node) === 'w:num')) {
+    const abstractId = attrOf(findChild(childrenOf(num), 'w:abstractNumId'), 'w:val')
+    formats.set(attrOf(num, 'w:numId'), abstractFormats.get(abstractId) || new Map())
+  }
+  return formats
+}
+
+//
+// PPTX (PresentationML)
+//
+// Placeholders that repeat on every slide and carry no content
+const SKIPPED_PLACEHOLDERS = new Set(['sldNum', 'dt', 'ftr', 'hdr', 'sldImg'])
+const TITLE_PLACEHOLDERS = new Set(['title', 'ctrTitle'])
+
+function parsePptxSlides(buffer) {
+  let files
+  try {
+    files = unzipSync(new Uint8Array(buffer), {
+      filter: (file) => /^ppt\/(presentation\.xml|_rels\/presentation\.xml\.rels|slides\/|notesSlides\/[^/]+\.xml$)/.test(file.name),
+    })
+  } catch (error) {
+    throw new Error(`Could not open PPTX archive: ${error.message}`)
+  }
+
+  const presentation = parseXmlPart(files, 'ppt/presentation.xml')
+  if (!presentation) {
+    throw new Error('Not a valid PPTX file (ppt/presentation.xml is missing)')
+  }
+  const presentationRels = readRelationships(files, 'ppt/presentation.xml')
+
+  // Slide order comes from the presentation's slide id list, not from file names
+  const slideIds = childrenOf(findChild(childrenOf(findChild(presentation, 'p:presentation')), 'p:sldIdLst') || {})
+  const slideParts = slideIds
+    .filter((node) => tagOf(node) === 'p:sldId')
+    .map((node) => presentationRels.get(attrOf(node, 'r:id'))?.target)
+
+  return slideParts.map((slidePart, idx) => {
+    const slideNumber = idx + 1
+    const slide = slidePart && parseXmlPart(files, slidePart)
+    const { title, blocks } = slide ? readSlideBlocks(slide) : { title: null, blocks: [] }
+
+    const notesPart = Array.from(readRelationships(files, slidePart || '').values())
+      .find((rel) => rel.type.endsWith('/notesSlide'))?.target
+    const notes = notesPart && parseXmlPart(files, notesPart)
+
+    return {
+      pageNumber: slideNumber,
+      text: renderBlocks(title ? [{ type: 'heading', level: 1, text: title }, ...blocks] : blocks),
+      figureMetadata: [],
+      sectionTitle: title,
+      speakerNotes: notes ? readSpeakerNotes(notes) : null,
+    }
+  })
+}
+
+// Relationship id -> { type, target }, with targets resolved to archive paths
+function readRelationships(files, part) {
+  const rels = new Map()
+  const relsPart = path.posix.join(path.posix.dirname(part), '_rels', `${path.posix.basename(part)}.rels`)
+  const parsed = parseXmlPart(files, relsPart)
+  if (!parsed) return rels
+
+  for (const rel of childrenOf(findChild(parsed, 'Relationships')).filter((node) => tagOf(node) === 'Relationship')) {
+    const target = attrOf(rel, 'Target') || ''
+    rels.set(attrOf(rel, 'Id'), {
+      type: attrOf(rel, 'Type') || '',
+      target: target.startsWith('/')
+        ? target.substring(1)
+        : path.posix.normalize(path.posix.join(path.posix.dirname(part), target)),
+    })
+  }
+  return rels
+}
+
+function readSlideBlocks(slide) {
+  const tree = findChild(childrenOf(findChild(childrenOf(findChild(slide, 'p:sld')), 'p:cSld')), 'p:spTree')
+  let title = null
+  const blocks = []
+
+  const walk = (nodes) => {
+    for (const node of nodes) {
+      const tag = tagOf(node)
+      if (tag === 'p:grpSp') {
+        walk(childrenOf(node))
+      } else if (tag === 'p:sp') {
+        const placeholder = readPlaceholder(node)
+        if (SKIPPED_PLACEHOLDERS.has(placeholder?.type)) continue
+
+        const paragraphs = readShapeParagraphs(node)
+        if (TITLE_PLACEHOLDERS.has(placeholder?.type)) {
+          title ??= paragraphs.map((p) => p.text).join(' ') || null
+          continue
+        }
+        // Body placeholders are bulleted unless a paragraph turns bullets off; text boxes are not
+        const bulletedByDefault = Boolean(placeholder) && ['body', 'obj', undefined].includes(placeholder.type)
+        addParagraphBlocks(blocks, paragraphs, bulletedByDefault)
+      } else if (tag === 'p:graphicFrame') {
+        const table = findDescendant(childrenOf(node), 'a:tbl')
+        if (!table) continue
+        const rows = childrenOf(table)
+          .filter((row) => tagOf(row) === 'a:tr')
+          .map((row) => childrenOf(row)
+            .filter((cell) => tagOf(cell) === 'a:tc')
+            .map((cell) => collectText(childrenOf(cell), 'a').replace(/\s*\n\s*/g, ' ').trim()))
+        if (rows.length > 0) blocks.push({ type: 'table', rows })
+      }
+    }
+  }
+
+  walk(childrenOf(tree || {}))
+  return { title, blocks }
+}
+
+function readPlaceholder(shape) {
+  const nonVisual = childrenOf(findChild(childrenOf(shape), 'p:nvSpPr') || {})
+  const placeholder = findChild(childrenOf(findChild(nonVisual, 'p:nvPr') || {}), 'p:ph')
+  return placeholder ? { type: attrOf(placeholder, 'type') } : null
+}
+
+// [{ text, level, bullet: 'none' | 'char' | 'number' | undefined }] for the non-empty paragraphs
+function readShapeParagraphs(shape) {
+  const body = findChild(childrenOf(shape), 'p:txBody')
+  return childrenOf(body || {})
+    .filter((node) => tagOf(node) === 'a:p')
+    .map((paragraph) => {
+      const children = childrenOf(paragraph)
+      const props = findChild(children, 'a:pPr')
+      const propChildren = childrenOf(props || {})
+      let bullet
+      if (findChild(propChildren, 'a:buNone')) bullet = 'none'
+      else if (findChild(propChildren, 'a:buAutoNum')) bullet = 'number'
+      else if (findChild(propChildren, 'a:buChar')) bullet = 'char'
+      return {
+        text: collectText(children, 'a').trim(),
+        level: Number(attrOf(props, 'lvl') || 0),
+        bullet,
+      }
+    })
+    .filter((paragraph) => paragraph.text)
+}
+
+function addParagraphBlocks(blocks, paragraphs, bulletedByDefault) {
+  let list = null
+  const counters = []
+  for (const paragraph of paragraphs) {
+    const bulleted = paragraph.bullet ? paragraph.bullet !== 'none' : bulletedByDefault
+    if (!bulleted) {
+      list = null
+      blocks.push({ type: 'paragraph', text: paragraph.text })
+      continue
+    }
+
+    const ordered = paragraph.bullet === 'number'
+    counters[paragraph.level] = (counters[paragraph.level] || 0) + 1
+    counters.length = paragraph.level + 1
+    if (!list) {
+      list = { type: 'list', items: [] }
+      blocks.push(list)
+    }
+    list.items.push({ level: paragraph.level, ordered, number: ordered ? counters[paragraph.level] : null, text: paragraph.text })
+  }
+}
+
+// Notes slides hold a thumbnail of the slide plus a body placeholder with the presenter's notes
+function readSpeakerNotes(notes) {
+  const tree = findChild(childrenOf(findChild(childrenOf(findChild(notes, 'p:notes')), 'p:cSld')), 'p:spTree')
+  const text = childrenOf(tree || {})
+    .filter((node) => tagOf(node) === 'p:sp' && readPlaceholder(node)?.type === 'body')
+    .flatMap((shape) => readShapeParagraphs(shape).map((paragraph) => paragraph.text))
+    .join('\n')
+  return text || null
+}
+
+function findDescendant(nodes, tag) {
+  for (const node of nodes) {
+    if (tagOf(node) === tag) return node
+    const found = findDescendant(childrenOf(node), tag)
+    if (found) return found
+  }
+  return null
+}
+
+//
+// Captions (WebVTT / SRT)
+//
+const SEGMENT_SECONDS = 60
+const CUE_TIMING = /^\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})/
+
+// 1:02:03 for lectures over an hour, 14:32 otherwise
+export function formatTimestamp(seconds) {
+  const total = Math.floor(seconds)
+  const hours = Math.floor(total / 3600)
+  const minutes = Math.floor((total % 3600) / 60)
+  const secs = String(total % 60).padStart(2, '0')
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`
+}
+
+function parseTimestamp(value) {
+  return value
+    .replace(',', '.')
+    .split(':')
+    .reduce((seconds, part) => seconds * 60 + parseFloat(part), 0)
+}
+
+// Both formats are blank-line separated blocks with a "start --> end" timing line; anything
+// without one (the WEBVTT header, NOTE/STYLE/REGION blocks) is skipped, as are SRT counters
+// and VTT cue ids above the timing line
+function parseCaptionCues(text) {
+  const cues = []
+  for (const block of text.replace(/\r\n?/g, '\n').split(/\n{2,}/)) {
+    const lines = block.split('\n')
+    const timingIndex = lines.findIndex((line) => CUE_TIMING.test(line))
+    if (timingIndex === -1) continue
+
+    const [, start, end] = lines[timingIndex].match(CUE_TIMING)
+    const cueText = cleanCueText(lines.slice(timingIndex + 1).join(' '))
+    if (!cueText) continue
+
+    // Roll-up captions repeat the same line across consecutive cues
+    const previous = cues[cues.length - 1]
+    if (previous?.text === cueText) {
+      previous.end = parseTimestamp(end)
+      continue
+    }
+    cues.push({ start: parseTimestamp(start), end: parseTimestamp(end), text: cueText })
+  }
+  return cues
+}
+
+// Keeps VTT voice names ("<v Prof. Lee>" -> "Prof. Lee: "), drops other markup and SRT
+// position codes like {\an8}
+function cleanCueText(text) {
+  return text
+    .replace(/<v(?:\.[^\s>]+)?\s+([^>]+)>/g, '$1: ')
+    .replace(/<[^>]*>/g, '')
+    .replace(/\{\\[^}]*\}/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim()
+}
+
+// Pages are numbered consecutively over the non-empty windows, so the chat's +/-1 page window
+// means the neighbouring stretches of the lecture
+function segmentCues(cues) {
+  const segments = new Map()
+  for (const cue of cues) {
+    const bucket = Math.floor(cue.start / SEGMENT_SECONDS)
+    if (!segments.has(bucket)) segments.set(bucket, [])
+    segments.get(bucket).push(cue)
+  }
+
+  return Array.from(segments.keys())
+    .sort((a, b) => a - b)
+    .map((bucket, idx) => {
+      const windowCues = segments.get(bucket)
+      const startTime = windowCues[0].start
+      const endTime = Math.max(...windowCues.map((cue) => cue.end))
+      return {
+        pageNumber: idx + 1,
+        text: windowCues.map((cue) => `[${formatTimestamp(cue.start)}] ${cue.text}`).join('\n'),
+        figureMetadata: [],
+        sectionTitle: `${formatTimestamp(startTime)}-${formatTimestamp(endTime)}`,
+        startTime,
+        endTime,
+      }
+    })
+}
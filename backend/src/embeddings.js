@@ -0,0 +1,121 @@
+import { tokenize } from './searchIndex.js'
+
+// Embedding providers share one call shape so ingestion and chat never depend on an API:
+//
+//   embedder.embed(texts) -> number[][]   (one unit-length vector per text)
+//
+// - openai: any OpenAI-compatible /embeddings endpoint (Ollama, llama.cpp server, vLLM, OpenAI)
+// - local:  feature-hashed bag of stemmed terms and character trigrams. Needs no model or
+//           network, so offline runs and end-to-end checks exercise the same code path; it
+//           matches spelling variants but not synonyms, which takes a real embedding model
+//
+// Chunks record the `model` their vector came from; vectors from different models are never
+// compared.
+
+export const EMBEDDING_PROVIDERS = ['openai', 'local']
+
+export function createEmbeddingProvider(config) {
+  if (config.provider === 'openai') return createOpenAiCompatibleEmbedder(config)
+  if (config.provider === 'local') return createLocalEmbedder(config)
+  throw new Error(`Unknown embedding provider "${config.provider}" (expected one of: ${EMBEDDING_PROVIDERS.join(', ')})`)
+}
+
+export function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0
+  let dot = 0
+  let normA = 0
+  let normB = 0
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i]
+    normA += a[i] * a[i]
+    normB += b[i] * b[i]
+  }
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0
+}
+
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0))
+  // Six decimals keep stored chunks small without changing rankings
+  return vector.map((value) => (norm > 0 ? Math.round((value / norm) * 1e6) / 1e6 : 0))
+}
+
+//
+// OpenAI-compatible HTTP endpoint
+//
+function createOpenAiCompatibleEmbedder({ baseUrl, apiKey, model, batchSize = 64 }) {
+  if (!baseUrl) {
+    throw new Error('Missing EMBEDDING_BASE_URL env var')
+  }
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/embeddings`
+
+  return {
+    name: 'openai',
+    model,
+    async embed(texts) {
+      const vectors = []
+      for (let i = 0; i < texts.length; i += batchSize) {
+        const response = await fetch(endpoint, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+          },
+          body: JSON.stringify({ model, input: texts.slice(i, i + batchSize) }),
+        })
+
+        if (!response.ok) {
+          const detail = await response.text().catch(() => '')
+          throw Object.assign(
+            new Error(`Embedding request failed (${response.status}): ${detail.substring(0, 200)}`),
+            { status: response.status },
+          )
+        }
+
+        const { data = [] } = await response.json()
+        // Entries carry their input index; don't rely on response order
+        for (const entry of [...data].sort((a, b) => a.index - b.index)) vectors.push(normalize(entry.embedding))
+      }
+      return vectors
+    },
+  }
+}
+
+//
+// Local feature hashing
+//
+function createLocalEmbedder({ dimensions = 256 }) {
+  console.log(`⚠️ Using local hashing embeddings (${dimensions} dimensions)`)
+
+  const embedOne = (text) => {
+    const vector = new Array(dimensions).fill(0)
+    const add = (feature, weight) => {
+      const hash = fnv1a(feature)
+      // The top bit picks the sign so unrelated features cancel out instead of piling up
+      vector[hash % dimensions] += hash & 0x80000000 ? -weight : weight
+    }
+    for (const term of tokenize(text)) {
+      add(term, 1)
+      const padded = `_${term}_`
+      for (let i = 0; i + 3 <= padded.length; i++) add(`#${padded.slice(i, i + 3)}`, 0.5)
+    }
+    return normalize(vector)
+  }
+
+  return {
+    name: 'local',
+    model: `hashing-${dimensions}`,
+    async embed(texts) {
+      return texts.map(embedOne)
+    },
+  }
+}
+
+// 32-bit FNV-1a hash
+function fnv1a(text) {
+  let hash = 0x811c9dc5
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return hash >>> 0
+}
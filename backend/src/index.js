@@ -1,19 +1,34 @@
 import 'dotenv/config'
+import crypto from 'node:crypto'
 import express from 'express'
 import cors from 'cors'
 import multer from 'multer'
 import { v4 as uuidv4 } from 'uuid'
-import Groq from 'groq-sdk'
+import { chunkTextGenerator, chunkTypeOf, estimateTokens, isFigureChunk } from './chunkText.js'
+import { createStorage, STORAGE_PROVIDERS } from './storage.js'
+import { analyzeDocument, createDocumentAnalyzer, DOCUMENT_ANALYSIS_PROVIDERS } from './documentAnalysis.js'
 import {
-  BlobServiceClient,
-  StorageSharedKeyCredential,
-  BlobSASPermissions,
-  generateBlobSASQueryParameters,
-} from '@azure/storage-blob'
-import { AzureKeyCredential, DocumentAnalysisClient } from '@azure/ai-form-recognizer'
-import { CosmosClient } from '@azure/cosmos'
-import { chunkTextGenerator } from './chunkText.js'
-import { PDFDocument } from 'pdf-lib'
+  detectDocumentFormat,
+  DOCUMENT_FORMATS,
+  extractTextPages,
+  formatTimestamp,
+  TRANSCRIPT_FORMATS,
+} from './documentFormats.js'
+import {
+  assignSections,
+  buildOutline,
+  detectPdfHeadings,
+  sectionPathAt,
+} from './sections.js'
+import { createLlmProvider, logUsage, LLM_PROVIDERS } from './llm.js'
+import { createJobQueue } from './jobs.js'
+import { withRetry } from './retry.js'
+import { buildSearchIndex, reciprocalRankFusion, searchIndex, tokenize } from './searchIndex.js'
+import { cosineSimilarity, createEmbeddingProvider, EMBEDDING_PROVIDERS } from './embeddings.js'
+import { budgetHistory, normalizeHistory, rewriteFollowUp } from './conversation.js'
+import { createSessionStore } from './sessions.js'
+import { createTokenBudget, messageTokens } from './tokenBudget.js'
+import { applyQueryFilters, parseQueryFilters } from './queryFilters.js'
 
 const app = express()
 app.use(cors({
@@ -29,6 +44,13 @@ const {
   PORT = 8888,
   AZURE_FORM_RECOGNIZER_ENDPOINT,
   AZURE_FORM_RECOGNIZER_KEY,
+  // azure | local (defaults to azure when a Document Intelligence endpoint is set)
+  DOCUMENT_ANALYSIS_PROVIDER = AZURE_FORM_RECOGNIZER_ENDPOINT ? 'azure' : 'local',
+  // Page-batch size and parallelism per analysis provider
+  AZURE_DI_PAGES_PER_BATCH = '2',
+  AZURE_DI_CONCURRENCY = '4',
+  LOCAL_ANALYSIS_PAGES_PER_BATCH = '10',
+  LOCAL_ANALYSIS_CONCURRENCY = '1',
   AZURE_STORAGE_CONNECTION_STRING,
   BLOB_UPLOADS_CONTAINER = 'uploads',
   BLOB_JSON_CONTAINER = 'parsed-json',
@@ -36,62 +58,140 @@ const {
   COSMOS_KEY,
   COSMOS_DB_NAME,
   COSMOS_CONTAINER_NAME,
+  COSMOS_RECORD_CONTAINER_PREFIX = '',
+  COSMOS_CHUNK_PARTITION_KEY = 'documentId',
+  // azure | local | memory (defaults to azure when a storage connection string is set)
+  STORAGE_PROVIDER = AZURE_STORAGE_CONNECTION_STRING ? 'azure' : 'local',
+  LOCAL_STORAGE_DIR = './data',
+  PUBLIC_API_URL,
   GROQ_API_KEY,
   GROQ_MODEL = 'llama-3.1-70b-versatile',
+  // groq | openai | mock; mock has to be asked for, so a missing key fails startup instead of
+  // serving canned answers
+  LLM_PROVIDER = 'groq',
+  OPENAI_BASE_URL = 'http://localhost:11434/v1',
+  OPENAI_API_KEY,
+  OPENAI_MODEL = 'llama3.1',
+  MOCK_LLM_RESPONSES,
+  // openai (any OpenAI-compatible /embeddings endpoint) | local (offline feature hashing)
+  EMBEDDING_PROVIDER = 'local',
+  EMBEDDING_BASE_URL = OPENAI_BASE_URL,
+  EMBEDDING_API_KEY = OPENAI_API_KEY,
+  EMBEDDING_MODEL = 'nomic-embed-text',
+  LOCAL_EMBEDDING_DIMENSIONS = '256',
+  // Context window of the chat model, for models tokenBudget.js doesn't know (e.g. Ollama's num_ctx)
+  LLM_CONTEXT_TOKENS,
+  // Tokens reserved for each chat answer
+  CHAT_ANSWER_TOKENS = '1024',
+  // Token budget for earlier chat turns sent with each question; older turns are summarized
+  CHAT_HISTORY_TOKENS = '1500',
+  // Token budget for retrieved document context in each chat prompt
+  CHAT_CONTEXT_TOKENS = '3000',
+  INGESTION_CONCURRENCY = '1',
 } = process.env
 
-if (!AZURE_FORM_RECOGNIZER_ENDPOINT || !AZURE_FORM_RECOGNIZER_KEY) {
-  throw new Error('Missing Document Intelligence endpoint/key env vars')
+if (!DOCUMENT_ANALYSIS_PROVIDERS.includes(DOCUMENT_ANALYSIS_PROVIDER)) {
+  throw new Error(`DOCUMENT_ANALYSIS_PROVIDER must be one of: ${DOCUMENT_ANALYSIS_PROVIDERS.join(', ')}`)
 }
-if (!AZURE_STORAGE_CONNECTION_STRING) {
-  throw new Error('Missing AZURE_STORAGE_CONNECTION_STRING env var')
+if (!STORAGE_PROVIDERS.includes(STORAGE_PROVIDER)) {
+  throw new Error(`STORAGE_PROVIDER must be one of: ${STORAGE_PROVIDERS.join(', ')}`)
 }
-if (!COSMOS_ENDPOINT || !COSMOS_KEY || !COSMOS_DB_NAME || !COSMOS_CONTAINER_NAME) {
-  throw new Error('Missing Cosmos DB env vars')
+if (!LLM_PROVIDERS.includes(LLM_PROVIDER)) {
+  throw new Error(`LLM_PROVIDER must be one of: ${LLM_PROVIDERS.join(', ')}`)
 }
-if (!GROQ_API_KEY) {
-  throw new Error('Missing GROQ_API_KEY env var')
+if (!EMBEDDING_PROVIDERS.includes(EMBEDDING_PROVIDER)) {
+  throw new Error(`EMBEDDING_PROVIDER must be one of: ${EMBEDDING_PROVIDERS.join(', ')}`)
 }
 
 // Initialize clients and containers
-let uploadsContainer, jsonContainer, docClient, cosmosContainer
-let blobCredential, accountName
-const groq = new Groq({ apiKey: GROQ_API_KEY })
-
-// In-memory progress tracking
-const uploadProgress = new Map() // documentId -> { stage, progress, startTime, estimatedTotal }
+let storage, documentAnalyzer, llm, embedder, ingestionQueue, sessions, chatBudget
 
 async function initializeServices() {
   try {
-    // Storage clients
-    const blobServiceClient = BlobServiceClient.fromConnectionString(AZURE_STORAGE_CONNECTION_STRING)
-    const parsed = parseAccountInfo(AZURE_STORAGE_CONNECTION_STRING)
-    accountName = parsed.accountName
-    const accountKey = parsed.accountKey
-    blobCredential = new StorageSharedKeyCredential(accountName, accountKey)
-    uploadsContainer = blobServiceClient.getContainerClient(BLOB_UPLOADS_CONTAINER)
-    jsonContainer = blobServiceClient.getContainerClient(BLOB_JSON_CONTAINER)
-    await uploadsContainer.createIfNotExists()
-    await jsonContainer.createIfNotExists()
-    console.log('✓ Blob storage initialized')
-
-    docClient = new DocumentAnalysisClient(
-      AZURE_FORM_RECOGNIZER_ENDPOINT,
-      new AzureKeyCredential(AZURE_FORM_RECOGNIZER_KEY),
-    )
-    console.log('✓ Document Analysis client initialized')
-
-    const cosmosClient = new CosmosClient({ endpoint: COSMOS_ENDPOINT, key: COSMOS_KEY })
-    cosmosContainer = cosmosClient.database(COSMOS_DB_NAME).container(COSMOS_CONTAINER_NAME)
-    console.log('✓ Cosmos DB initialized')
-
-    console.log(`✓ Groq configured: ${GROQ_MODEL}`)
+    // Storage (uploads, parsed JSON, chunks)
+    storage = await createStorage({
+      provider: STORAGE_PROVIDER,
+      uploadsContainerName: BLOB_UPLOADS_CONTAINER,
+      jsonContainerName: BLOB_JSON_CONTAINER,
+      connectionString: AZURE_STORAGE_CONNECTION_STRING,
+      cosmosEndpoint: COSMOS_ENDPOINT,
+      cosmosKey: COSMOS_KEY,
+      cosmosDbName: COSMOS_DB_NAME,
+      cosmosContainerName: COSMOS_CONTAINER_NAME,
+      cosmosRecordContainerPrefix: COSMOS_RECORD_CONTAINER_PREFIX,
+      cosmosChunkPartitionKey: COSMOS_CHUNK_PARTITION_KEY,
+      rootDir: LOCAL_STORAGE_DIR,
+      publicBaseUrl: PUBLIC_API_URL || `http://localhost:${PORT}`,
+    })
+    console.log(`✓ Storage provider: ${STORAGE_PROVIDER}`)
+
+    const isAzureAnalysis = DOCUMENT_ANALYSIS_PROVIDER === 'azure'
+    documentAnalyzer = createDocumentAnalyzer({
+      provider: DOCUMENT_ANALYSIS_PROVIDER,
+      endpoint: AZURE_FORM_RECOGNIZER_ENDPOINT,
+      apiKey: AZURE_FORM_RECOGNIZER_KEY,
+      pagesPerBatch: isAzureAnalysis
+        ? positiveInt(AZURE_DI_PAGES_PER_BATCH, 'AZURE_DI_PAGES_PER_BATCH')
+        : positiveInt(LOCAL_ANALYSIS_PAGES_PER_BATCH, 'LOCAL_ANALYSIS_PAGES_PER_BATCH'),
+      concurrency: isAzureAnalysis
+        ? positiveInt(AZURE_DI_CONCURRENCY, 'AZURE_DI_CONCURRENCY')
+        : positiveInt(LOCAL_ANALYSIS_CONCURRENCY, 'LOCAL_ANALYSIS_CONCURRENCY'),
+    })
+    console.log(`✓ Document analysis provider: ${DOCUMENT_ANALYSIS_PROVIDER} (${documentAnalyzer.pagesPerBatch} pages/batch, concurrency ${documentAnalyzer.concurrency})`)
+
+    llm = createLlmProvider({
+      provider: LLM_PROVIDER,
+      apiKey: LLM_PROVIDER === 'groq' ? GROQ_API_KEY : OPENAI_API_KEY,
+      model: LLM_PROVIDER === 'groq' ? GROQ_MODEL : LLM_PROVIDER === 'openai' ? OPENAI_MODEL : undefined,
+      baseUrl: OPENAI_BASE_URL,
+      responsesFile: MOCK_LLM_RESPONSES,
+    })
+    console.log(`✓ LLM provider configured: ${llm.name} (${llm.model})`)
+
+    chatBudget = createTokenBudget({
+      model: llm.model,
+      contextWindow: LLM_CONTEXT_TOKENS ? positiveInt(LLM_CONTEXT_TOKENS, 'LLM_CONTEXT_TOKENS') : undefined,
+      answerTokens: positiveInt(CHAT_ANSWER_TOKENS, 'CHAT_ANSWER_TOKENS'),
+      historyTokens: positiveInt(CHAT_HISTORY_TOKENS, 'CHAT_HISTORY_TOKENS'),
+      contextTokens: positiveInt(CHAT_CONTEXT_TOKENS, 'CHAT_CONTEXT_TOKENS'),
+    })
+    console.log(`✓ Chat token budget: ${chatBudget.describe()}`)
+
+    embedder = createEmbeddingProvider({
+      provider: EMBEDDING_PROVIDER,
+      baseUrl: EMBEDDING_BASE_URL,
+      apiKey: EMBEDDING_API_KEY,
+      model: EMBEDDING_MODEL,
+      dimensions: positiveInt(LOCAL_EMBEDDING_DIMENSIONS, 'LOCAL_EMBEDDING_DIMENSIONS'),
+    })
+    console.log(`✓ Embedding provider configured: ${embedder.name} (${embedder.model})`)
+
+    // Ingestion jobs run in the background; their state lives in storage.jobs
+    ingestionQueue = createJobQueue({
+      store: storage.jobs,
+      type: 'ingestion',
+      handler: processDocumentJob,
+      concurrency: positiveInt(INGESTION_CONCURRENCY, 'INGESTION_CONCURRENCY'),
+      completedMessage: 'Ready for study session!',
+    })
+    console.log(`✓ Ingestion queue ready (concurrency ${INGESTION_CONCURRENCY})`)
+
+    // Chat transcripts, so a study session can be resumed after a reload
+    sessions = createSessionStore({ store: storage.sessions })
   } catch (error) {
     console.error('Failed to initialize services:', error.message)
     throw error
   }
 }
 
+function positiveInt(value, name) {
+  const parsed = parseInt(value, 10)
+  if (!Number.isInteger(parsed) || parsed < 1) {
+    throw new Error(`Invalid ${name}: "${value}" (expected a positive integer)`)
+  }
+  return parsed
+}
+
 // Start server after initialization
 ;(async () => {
   try {
@@ -99,6 +199,7 @@ async function initializeServices() {
     app.listen(PORT, () => {
       console.log(`API listening on http://localhost:${PORT}`)
     })
+    await ingestionQueue.resumePending()
   } catch (error) {
     console.error('Failed to start server:', error.message)
     process.exit(1)
@@ -113,510 +214,1614 @@ app.post('/api/documents', upload.single('file'), async (req, res) => {
     console.log('   studentId:', studentId, 'courseId:', courseId)
     console.log('   file:', file?.originalname, file?.mimetype, file?.size)
 
-    if (!studentId || !courseId) {
-      console.log('   ❌ Missing studentId or courseId')
-      return res.status(400).json({ error: 'studentId and courseId are required' })
+    if (!studentId || !courseId) {
+      console.log('   ❌ Missing studentId or courseId')
+      return res.status(400).json({ error: 'studentId and courseId are required' })
+    }
+
+    if (!file) {
+      console.log('   ❌ No file received')
+      return res.status(400).json({ error: 'File is required (field name: file)' })
+    }
+
+    const format = detectDocumentFormat(file)
+    if (!format) {
+      console.log('   ❌ Invalid file type')
+      const supported = Object.values(DOCUMENT_FORMATS).map((f) => f.label).join(', ')
+      return res.status(400).json({ error: `Unsupported file type. Supported formats: ${supported}` })
+    }
+    const contentType = DOCUMENT_FORMATS[format].contentType
+
+    const documentId = uuidv4()
+    const blobName = `${documentId}-${file.originalname}`
+    console.log('   Document ID:', documentId)
+
+    // Identical bytes already processed for someone else? Copy that analysis instead of redoing it
+    const contentHash = crypto.createHash('sha256').update(file.buffer).digest('hex')
+    const source = await findReusableDocument(contentHash, courseId)
+    if (source) {
+      console.log(`   ♻️  Same content as document ${source.id}; its analysis will be reused`)
+    }
+
+    // Upload the file to blob storage
+    console.log(`   Uploading ${format} file to blob storage...`)
+    await storage.uploads.upload(blobName, file.buffer, contentType)
+    
+    // Verify upload completed successfully
+    const props = await storage.uploads.getProperties(blobName)
+    if (!props) {
+      throw new Error(`Uploaded blob ${blobName} could not be found`)
+    }
+    console.log(`   ✓ Blob uploaded and verified: ${props.contentLength} bytes`)
+
+    // Library record for the document; page, chunk and figure counts are filled in by ingestion
+    const createdAt = new Date().toISOString()
+    await storage.documents.put({
+      id: documentId,
+      studentId,
+      courseId,
+      fileName: file.originalname,
+      format,
+      contentType,
+      size: props.contentLength,
+      blobName,
+      contentHash,
+      sourceDocumentId: source?.id || null,
+      jsonBlob: null,
+      searchIndexBlob: null,
+      pageCount: null,
+      chunkCount: null,
+      figureCount: null,
+      figures: [],
+      outline: null,
+      createdAt,
+      updatedAt: createdAt,
+    })
+
+    // Generate a URL for the PDF for the frontend to display (SAS URL on Azure)
+    const pdfUrl = storage.uploads.getUrl(blobName, { expiresInMinutes: 1440 }) // 24 hours
+    console.log('   PDF URL:', pdfUrl)
+
+    // Hand the rest of the pipeline to the ingestion worker
+    const job = await ingestionQueue.submit({
+      mode: source ? 'clone' : 'ingest',
+      documentId,
+      studentId,
+      courseId,
+      fileName: file.originalname,
+      format,
+      contentType,
+      blobName,
+      sourceDocumentId: source?.id || null,
+    })
+    console.log(`   ✓ Ingestion job queued: ${job.id}`)
+
+    return res.status(202).json({
+      documentId,
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`,
+      pdfUrl,
+      pdfBlob: blobName,
+      cached: Boolean(source),
+      sourceDocumentId: source?.id || null,
+    })
+  } catch (error) {
+    console.error('❌ Upload error:', error.message)
+    console.error('   Stack:', error.stack)
+    return res.status(500).json({ error: 'Upload failed', detail: error.message })
+  }
+})
+
+// Ingestion queue handler. Progress is persisted on the job record through update();
+// finer-grained events (pages, figures, chunk counts) go to live progress streams through
+// publish(). Clone and reindex jobs share the queue, so /status, /events and /retry cover them.
+async function processDocumentJob(job, update, publish) {
+  if (job.mode === 'reindex') return reindexDocumentJob(job, update, publish)
+  if (job.mode === 'clone') return cloneDocumentJob(job, update, publish)
+  return ingestDocumentJob(job, update, publish)
+}
+
+// A finished document with the same SHA-256 whose analysis and chunks can be copied.
+// Prefers one from the same course, then the most recent.
+async function findReusableDocument(contentHash, courseId) {
+  const matches = (await storage.documents.find({ contentHash }))
+    .filter((document) => document.jsonBlob && document.indexVersion != null)
+    .sort((a, b) => (b.courseId === courseId) - (a.courseId === courseId) || b.createdAt.localeCompare(a.createdAt))
+  return matches[0] || null
+}
+
+// Full ingestion: analysis -> parsed JSON -> graph enrichment -> chunking -> storage
+async function ingestDocumentJob(job, update, publish) {
+  const { documentId, studentId, courseId, blobName } = job
+  const settings = resolveIndexSettings(job.settings)
+  console.log(`📄 Processing document ${documentId} (${job.fileName})`)
+
+  // Checkpoints let a retried or resumed job skip work that already succeeded:
+  // analyzed page batches, the full layout JSON and the graph-enriched page texts
+  const checkpoints = { analyzedBatches: [], ...job.checkpoints }
+  const saveCheckpoint = async (patch) => {
+    Object.assign(checkpoints, patch)
+    await update({ checkpoints: { ...checkpoints } })
+  }
+  const jsonBlobName = `${documentId}.json`
+  const enrichedBlobName = `${documentId}.enriched.json`
+  const batchBlobName = ({ startPage, endPage }) => `${documentId}.pages-${startPage}-${endPage}.json`
+  const readJsonBlob = async (name) => JSON.parse((await storage.parsedJson.download(name)).toString('utf8'))
+
+  let result
+  if (checkpoints.layoutSaved) {
+    console.log('   ✓ Layout JSON restored from checkpoint')
+    result = await readJsonBlob(jsonBlobName)
+  } else if (job.format && job.format !== 'pdf') {
+    // Text formats skip document analysis; the extracted page texts are stored as the layout JSON
+    await update({
+      stage: 'extracting',
+      progress: 0,
+      message: `Extracting text from ${DOCUMENT_FORMATS[job.format].label} file...`,
+    })
+    const fileBuffer = await storage.uploads.download(blobName)
+    result = { format: job.format, pageTexts: extractTextPages(fileBuffer, job.format) }
+    console.log(`   ✓ Extracted ${result.pageTexts.length} sections`)
+
+    await storage.parsedJson.upload(jsonBlobName, Buffer.from(JSON.stringify(result, null, 2)), 'application/json')
+    await saveCheckpoint({ layoutSaved: true })
+    await update({ progress: 40, message: `Extracted ${result.pageTexts.length} sections` })
+  } else {
+    // Update progress: analyzing (0-40% reserved for analysis)
+    await update({
+      stage: 'analyzing',
+      progress: 0,
+      message: `Running ${documentAnalyzer.name} document analysis...`,
+    })
+
+    const pdfBuffer = await storage.uploads.download(blobName)
+    const { pages: allPages } = await analyzeDocument(documentAnalyzer, pdfBuffer, {
+      getCachedBatch: async (batch) => {
+        const name = batchBlobName(batch)
+        return checkpoints.analyzedBatches.includes(name) ? readJsonBlob(name) : null
+      },
+      onBatch: async ({ startPage, endPage, pages, cached, pagesProcessed, totalPages }) => {
+        if (!cached) {
+          const name = batchBlobName({ startPage, endPage })
+          await storage.parsedJson.upload(name, Buffer.from(JSON.stringify(pages)), 'application/json')
+          checkpoints.analyzedBatches.push(name)
+        }
+
+        // Update progress: 0-40% for analysis phase
+        const analysisProgress = Math.round((pagesProcessed / totalPages) * 100 * 0.4)
+        await update({
+          stage: 'analyzing',
+          progress: analysisProgress,
+          message: `Analyzed ${pagesProcessed}/${totalPages} pages`,
+          checkpoints: { ...checkpoints },
+        })
+        for (const page of pages) {
+          publish('page', {
+            pageNumber: page.pageNumber,
+            lines: page.lines?.length || 0,
+            tables: page.tables?.length || 0,
+            figures: page.figures?.length || 0,
+            cached,
+            pagesProcessed,
+            totalPages,
+          })
+        }
+      },
+    })
+
+    console.log(`   ✓ Analysis complete - total pages collected: ${allPages.length}`)
+
+    // Create result object with all pages
+    result = { pages: allPages }
+
+    // Save parsed JSON to blob
+    console.log('   Saving parsed JSON...')
+    await storage.parsedJson.upload(jsonBlobName, Buffer.from(JSON.stringify(result, null, 2)), 'application/json')
+    console.log('   ✓ JSON saved')
+
+    // The full layout supersedes the per-batch checkpoints
+    const batchBlobs = checkpoints.analyzedBatches
+    await saveCheckpoint({ layoutSaved: true, analyzedBatches: [] })
+    await Promise.all(batchBlobs.map((name) => storage.parsedJson.delete(name)))
+  }
+
+  let pageTexts
+  if (checkpoints.enriched) {
+    console.log('   ✓ Enriched page texts restored from checkpoint')
+    pageTexts = await readJsonBlob(enrichedBlobName)
+  } else {
+    // Chunk text and write to the chunk store in batches
+    console.log('   Chunking text...')
+    pageTexts = pageTextsFromLayout(result)
+    console.log(`   Extracted ${pageTexts.length} pages from document`)
+    pageTexts.forEach(p => {
+      console.log(`      Page ${p.pageNumber}: ${p.text.length} chars, ${p.figureMetadata?.length || 0} figures`)
+      if (p.figureMetadata && p.figureMetadata.length > 0) {
+        p.figureMetadata.forEach((fig, idx) => {
+          console.log(`         Figure ${idx + 1}: "${fig.caption.substring(0, 50)}..." - Missing: ${fig.missingElements}`)
+        })
+      }
+    })
+
+    await update({
+      stage: 'enriching',
+      progress: 40,
+      message: 'Interpreting graphs and figures...',
+    })
+
+    // Enrich graphs with AI-inferred context
+    if (settings.enrichGraphs) {
+      pageTexts = await enrichGraphDescriptions(pageTexts, {
+        onFigure: (figure) => publish('figure', figure),
+      })
+    }
+
+    await storage.parsedJson.upload(enrichedBlobName, Buffer.from(JSON.stringify(pageTexts)), 'application/json')
+    await saveCheckpoint({ enriched: true })
+  }
+
+  // Update progress: chunking
+  await update({
+    stage: 'chunking',
+    progress: 40,
+    message: 'Chunking text and preparing for storage...',
+  })
+
+  // Clear the large result object from memory
+  result = null
+
+  // A previous attempt may have died mid-write; start the chunk set over so nothing is duplicated
+  if (checkpoints.chunksStarted) {
+    const removed = await storage.chunks.deleteByDocument(documentId)
+    console.log(`   Removed ${removed} chunks left by a previous attempt`)
+  }
+  await saveCheckpoint({ chunksStarted: true })
+  
+  let totalChunks
+  try {
+    totalChunks = await storeDocumentChunks({
+      pageTexts,
+      documentId,
+      studentId,
+      courseId,
+      indexVersion: FIRST_INDEX_VERSION,
+      chunkTokens: settings.chunkTokens,
+      overlapTokens: settings.overlapTokens,
+      update,
+      publish,
+    })
+  } catch (error) {
+    // Don't leave a partial chunk set behind for chat to find; a retry rewrites it
+    await storage.chunks.deleteByDocument(documentId)
+      .catch((cleanupError) => console.error('   Could not remove partial chunks:', cleanupError.message))
+    throw error
+  }
+
+  // The enriched-text checkpoint is only needed while the job can still be resumed
+  await saveCheckpoint({ enriched: false })
+  await storage.parsedJson.delete(enrichedBlobName)
+
+  // Fill in the library record now that the document is ready
+  const figures = summarizeFigures(pageTexts)
+  const document = await storage.documents.get(documentId)
+  if (document) {
+    await storage.documents.put({
+      ...document,
+      jsonBlob: jsonBlobName,
+      searchIndexBlob: searchIndexBlobName(documentId, FIRST_INDEX_VERSION),
+      pageCount: pageTexts.length,
+      chunkCount: totalChunks,
+      figureCount: figures.length,
+      figures,
+      outline: buildOutline(pageTexts),
+      indexVersion: FIRST_INDEX_VERSION,
+      indexSettings: settings,
+      updatedAt: new Date().toISOString(),
+    })
+  }
+
+  // Fresh URL for the PDF (the one returned at upload time may expire first on Azure)
+  const pdfUrl = storage.uploads.getUrl(blobName, { expiresInMinutes: 1440 }) // 24 hours
+  console.log('✅ Ingestion complete:', documentId)
+
+  return {
+    documentId,
+    pdfUrl,
+    pdfBlob: blobName,
+    jsonBlob: jsonBlobName,
+    chunksWritten: totalChunks,
+    cached: false,
+  }
+}
+
+// Copies the layout JSON and live chunks of an identical, already-processed upload to the new
+// document, re-keyed to its student and course. Falls back to full ingestion if the source
+// document was deleted or re-processed in the meantime.
+async function cloneDocumentJob(job, update, publish) {
+  const { documentId, studentId, courseId, blobName, sourceDocumentId } = job
+
+  const source = await storage.documents.get(sourceDocumentId)
+  if (!source?.jsonBlob || source.indexVersion == null) {
+    console.log(`   Source document ${sourceDocumentId} is no longer available; running full ingestion`)
+    const document = await storage.documents.get(documentId)
+    if (document) await storage.documents.put({ ...document, sourceDocumentId: null })
+    return ingestDocumentJob(job, update, publish)
+  }
+
+  console.log(`♻️  Reusing analysis of ${sourceDocumentId} for document ${documentId} (${job.fileName})`)
+  await update({
+    stage: 'cloning',
+    progress: 10,
+    message: 'Identical file already processed. Reusing its analysis...',
+  })
+
+  const jsonBlobName = `${documentId}.json`
+  await storage.parsedJson.upload(jsonBlobName, await storage.parsedJson.download(source.jsonBlob), 'application/json')
+
+  // Start from an empty chunk set in case a previous attempt stopped part-way
+  await storage.chunks.deleteByDocument(documentId)
+  const sourceChunks = await storage.chunks.findByDocument(sourceDocumentId, { indexVersion: source.indexVersion })
+
+  const BATCH_SIZE = 50
+  let chunksWritten = 0
+  // Chunk ids change in the copy, so the source's search index can't be reused as is
+  const indexEntries = []
+  try {
+    for (let i = 0; i < sourceChunks.length; i += BATCH_SIZE) {
+      // Drop Cosmos system properties; the copies are new items
+      const batch = sourceChunks.slice(i, i + BATCH_SIZE).map(({ _rid, _self, _etag, _attachments, _ts, ...chunk }) => ({
+        ...chunk,
+        id: uuidv4(),
+        documentId,
+        studentId,
+        courseId,
+        indexVersion: FIRST_INDEX_VERSION,
+      }))
+      // Vectors from a different embedding model can't be compared with this server's queries
+      await embedChunks(batch.filter((chunk) => chunk.embeddingModel !== embedder.model))
+      await storage.chunks.bulkCreate(batch)
+      chunksWritten += batch.length
+      indexEntries.push(...batch.map(({ id, content }) => ({ id, content })))
+
+      await update({
+        stage: 'storing',
+        progress: 10 + Math.round(85 * (chunksWritten / sourceChunks.length)),
+        message: `Copied ${chunksWritten}/${sourceChunks.length} chunks...`,
+      })
+      publish('chunks', { chunksWritten })
+    }
+    await saveSearchIndex(documentId, FIRST_INDEX_VERSION, indexEntries)
+  } catch (error) {
+    await storage.chunks.deleteByDocument(documentId)
+      .catch((cleanupError) => console.error('   Could not remove partial chunks:', cleanupError.message))
+    throw error
+  }
+
+  const document = await storage.documents.get(documentId)
+  if (document) {
+    await storage.documents.put({
+      ...document,
+      jsonBlob: jsonBlobName,
+      searchIndexBlob: searchIndexBlobName(documentId, FIRST_INDEX_VERSION),
+      pageCount: source.pageCount,
+      chunkCount: chunksWritten,
+      figureCount: source.figureCount,
+      figures: source.figures || [],
+      outline: source.outline ?? null,
+      indexVersion: FIRST_INDEX_VERSION,
+      indexSettings: source.indexSettings,
+      updatedAt: new Date().toISOString(),
+    })
+  }
+  console.log(`✅ Copied ${chunksWritten} chunks from ${sourceDocumentId}:`, documentId)
+
+  return {
+    documentId,
+    pdfUrl: storage.uploads.getUrl(blobName, { expiresInMinutes: 1440 }), // 24 hours
+    pdfBlob: blobName,
+    jsonBlob: jsonBlobName,
+    chunksWritten,
+    cached: true,
+    sourceDocumentId,
+  }
+}
+
+// Rebuilds a document's chunks from its stored layout JSON with new index settings.
+// New chunks are written under the next indexVersion, which chat ignores until the document
+// record is switched over to it in a single write; the previous version is deleted afterwards.
+async function reindexDocumentJob(job, update, publish) {
+  const { documentId, studentId, courseId } = job
+  const settings = resolveIndexSettings(job.settings)
+  console.log(`🔄 Re-indexing document ${documentId} (${job.fileName})`, settings)
+
+  const checkpoints = { ...job.checkpoints }
+  const saveCheckpoint = async (patch) => {
+    Object.assign(checkpoints, patch)
+    await update({ checkpoints: { ...checkpoints } })
+  }
+
+  const document = await storage.documents.get(documentId)
+  if (!document) {
+    throw new Error(`Document ${documentId} no longer exists`)
+  }
+
+  // Fix the target version on the first attempt so a retried job overwrites its own leftovers
+  if (checkpoints.targetIndexVersion === undefined) {
+    await saveCheckpoint({
+      previousIndexVersion: document.indexVersion ?? null,
+      targetIndexVersion: (document.indexVersion || 0) + 1,
+    })
+  }
+  const { previousIndexVersion, targetIndexVersion } = checkpoints
+
+  if (!checkpoints.switched) {
+    await update({ stage: 'loading', progress: 5, message: 'Loading stored layout JSON...' })
+    const layout = JSON.parse((await storage.parsedJson.download(document.jsonBlob)).toString('utf8'))
+    let pageTexts = pageTextsFromLayout(layout)
+    console.log(`   Extracted ${pageTexts.length} pages from stored layout`)
+
+    if (settings.enrichGraphs) {
+      await update({ stage: 'enriching', progress: 20, message: 'Interpreting graphs and figures...' })
+      pageTexts = await enrichGraphDescriptions(pageTexts, {
+        onFigure: (figure) => publish('figure', figure),
+      })
+    }
+
+    await update({ stage: 'chunking', progress: 40, message: 'Chunking text with the new settings...' })
+    const leftover = await storage.chunks.deleteByDocument(documentId, { indexVersion: targetIndexVersion })
+    if (leftover > 0) console.log(`   Removed ${leftover} chunks left by a previous attempt`)
+
+    let totalChunks
+    try {
+      totalChunks = await storeDocumentChunks({
+        pageTexts,
+        documentId,
+        studentId,
+        courseId,
+        indexVersion: targetIndexVersion,
+        chunkTokens: settings.chunkTokens,
+        overlapTokens: settings.overlapTokens,
+        update,
+        publish,
+      })
+    } catch (error) {
+      await storage.chunks.deleteByDocument(documentId, { indexVersion: targetIndexVersion })
+        .catch((cleanupError) => console.error('   Could not remove partial chunks:', cleanupError.message))
+      throw error
+    }
+
+    const figures = summarizeFigures(pageTexts)
+    await storage.documents.put({
+      ...(await storage.documents.get(documentId)),
+      pageCount: pageTexts.length,
+      chunkCount: totalChunks,
+      figureCount: figures.length,
+      figures,
+      outline: buildOutline(pageTexts),
+      searchIndexBlob: searchIndexBlobName(documentId, targetIndexVersion),
+      indexVersion: targetIndexVersion,
+      indexSettings: settings,
+      updatedAt: new Date().toISOString(),
+    })
+    await saveCheckpoint({ switched: true })
+    console.log(`   ✓ Switched document to index version ${targetIndexVersion}`)
+  }
+
+  let chunksRemoved = 0
+  if (previousIndexVersion !== null) {
+    chunksRemoved = await storage.chunks.deleteByDocument(documentId, { indexVersion: previousIndexVersion })
+    await storage.parsedJson.delete(searchIndexBlobName(documentId, previousIndexVersion))
+    console.log(`   Removed ${chunksRemoved} chunks from index version ${previousIndexVersion}`)
+  }
+  console.log('✅ Re-index complete:', documentId)
+
+  const { chunkCount } = await storage.documents.get(documentId)
+  return {
+    documentId,
+    indexVersion: targetIndexVersion,
+    settings,
+    chunksWritten: chunkCount,
+    chunksRemoved,
+  }
+}
+
+// Version number for the chunks written by a document's first ingestion; reindex counts up from it
+const FIRST_INDEX_VERSION = 1
+
+// Chunking and enrichment settings recorded on each document. Uploads use the defaults;
+// reindex requests may override them. Invalid values throw with status 400.
+function resolveIndexSettings(overrides = {}) {
+  const invalid = (message) => Object.assign(new Error(message), { status: 400 })
+  const defined = Object.fromEntries(Object.entries(overrides).filter(([, value]) => value !== undefined))
+  const { chunkTokens, overlapTokens, enrichGraphs, templateVersion } = {
+    chunkTokens: 256,
+    overlapTokens: 32,
+    enrichGraphs: true,
+    templateVersion: GRAPH_TEMPLATE_VERSION,
+    ...defined,
+  }
+
+  if (!Number.isInteger(chunkTokens) || chunkTokens < 64 || chunkTokens > 2048) {
+    throw invalid('chunkTokens must be an integer between 64 and 2048')
+  }
+  if (!Number.isInteger(overlapTokens) || overlapTokens < 0 || overlapTokens >= chunkTokens) {
+    throw invalid('overlapTokens must be a non-negative integer smaller than chunkTokens')
+  }
+  if (typeof enrichGraphs !== 'boolean') {
+    throw invalid('enrichGraphs must be true or false')
+  }
+  // Only the templates in this build can be applied; older versions exist only as a record
+  if (templateVersion !== GRAPH_TEMPLATE_VERSION) {
+    throw invalid(`templateVersion ${templateVersion} is not available (current version: ${GRAPH_TEMPLATE_VERSION})`)
+  }
+
+  return { chunkTokens, overlapTokens, enrichGraphs, templateVersion }
+}
+
+// Stored layout JSON is Document Intelligence-shaped ({ pages }) for PDFs and already-extracted
+// page texts ({ format, pageTexts }) for the text formats
+function pageTextsFromLayout(layout) {
+  return layout.pageTexts || extractPageTexts(layout)
+}
+
+function summarizeFigures(pageTexts) {
+  return pageTexts.flatMap((page) => (page.figureMetadata || []).map((fig, idx) => ({
+    pageNumber: page.pageNumber,
+    figureIndex: idx + 1,
+    caption: fig.caption,
+    graphTemplate: fig.graphTemplate ?? null,
+  })))
+}
+
+// Typed fields stored with a page chunk, from the chunker's block kind and the page's figure and
+// table metadata, so figures and tables can be looked up without reading the content markers:
+//   { chunkType: 'text' | 'table' | 'figure' | 'graph-interpretation' | 'transcript',
+//     figureIndex?, tableIndex?, caption?, graphTemplate?, boundingRegions? }
+// A figure whose interpretation was generated is a 'graph-interpretation'.
+function chunkMetadata(page, chunk) {
+  if (chunk.kind === 'figure' || chunk.kind === 'graph') {
+    const figure = chunk.blockIndex ? page.figureMetadata?.[chunk.blockIndex - 1] : null
+    return {
+      chunkType: chunk.kind === 'graph' || figure?.graphTemplate ? 'graph-interpretation' : 'figure',
+      figureIndex: chunk.blockIndex,
+      caption: figure?.caption ?? null,
+      graphTemplate: figure?.graphTemplate ?? null,
+      boundingRegions: figure?.boundingRegions || [],
+    }
+  }
+  if (chunk.kind === 'table') {
+    const table = page.tableMetadata?.[chunk.blockIndex - 1]
+    return {
+      chunkType: 'table',
+      tableIndex: chunk.blockIndex,
+      caption: table?.caption ?? null,
+      boundingRegions: table?.boundingRegions || [],
+    }
+  }
+  return { chunkType: page.startTime != null ? 'transcript' : 'text' }
+}
+
+// Chunks every page with the structure-aware chunker (figure and table blocks come out as their
+// own chunks, typed by chunkMetadata()), tags each chunk with the section path at its start, and
+// writes them to the chunk store in batches, reporting 40-95% progress through update() and
+// running chunk counts through publish(). Every chunk is stored with its embedding; the BM25
+// index for the chunk set is saved under searchIndexBlobName(). Leaves `sections` on the page
+// texts for buildOutline().
+async function storeDocumentChunks({
+  pageTexts,
+  documentId,
+  studentId,
+  courseId,
+  indexVersion,
+  chunkTokens = 256,
+  overlapTokens = 32,
+  update,
+  publish,
+}) {
+  const chunkOptions = { maxTokens: chunkTokens, overlapTokens }
+  assignSections(pageTexts)
+  let totalChunks = 0
+  const BATCH_SIZE = 50
+  const MAX_CHUNKS_PER_PAGE = 500 // Safety limit
+  
+  // Estimate total chunks by sampling first page
+  let estimatedTotalChunks = 100
+  if (pageTexts.length > 0 && pageTexts[0].text) {
+    const sampleChunks = Array.from(chunkTextGenerator(pageTexts[0].text, chunkOptions)).length
+    estimatedTotalChunks = Math.max(sampleChunks * pageTexts.length, 10)
+  }
+  
+  const batch = []
+  const indexEntries = []
+  const writeBatch = async (page, pageChunkCount) => {
+    await embedChunks(batch)
+    await storage.chunks.bulkCreate(batch)
+    indexEntries.push(...batch.map(({ id, content }) => ({ id, content })))
+    totalChunks += batch.length
+    console.log(`      Wrote ${totalChunks} chunks total (${pageChunkCount} from page ${page.pageNumber})...`)
+    batch.length = 0 // Clear the array for next batch
+
+    // Update progress: 40-95% for storage phase based on chunks written
+    const storageProgress = 40 + (55 * (totalChunks / Math.max(estimatedTotalChunks, 10)))
+    await update({
+      stage: 'storing',
+      progress: Math.min(Math.round(storageProgress), 95),
+      message: `Storing ${totalChunks} chunks in database...`,
+    })
+    publish('chunks', { pageNumber: page.pageNumber, chunksWritten: totalChunks })
+  }
+
+  console.log('   Writing chunks to the chunk store in batches...')
+  for (const page of pageTexts) {
+    console.log(`   Processing page ${page.pageNumber} (${page.text?.length || 0} chars)...`)
+    console.log(`      Page text preview: "${(page.text || '').substring(0, 200)}${(page.text || '').length > 200 ? '...' : ''}"`)
+    
+    if (!page.text?.trim() && !page.speakerNotes?.trim()) {
+      console.log(`      Skipping page ${page.pageNumber} - no text content`)
+      continue
+    }
+    
+    let pageChunkCount = 0
+
+    for (const chunk of chunkTextGenerator(page.text || '', chunkOptions)) {
+      // Safety check to prevent infinite loops
+      if (pageChunkCount >= MAX_CHUNKS_PER_PAGE) {
+        console.log(`      Warning: Reached max chunks limit for page ${page.pageNumber}, stopping chunk generation`)
+        break
+      }
+      
+      const metadata = chunkMetadata(page, chunk)
+      if (metadata.figureIndex) {
+        console.log(`         Figure ${metadata.figureIndex}: Added dedicated chunk (len=${chunk.content.length}, type=${metadata.chunkType})`)
+      }
+      
+      const sectionPath = sectionPathAt(page, chunk.startOffset)
+      batch.push({
+        id: chunk.id,
+        documentId,
+        studentId,
+        courseId,
+        pageNumber: page.pageNumber,
+        sectionTitle: metadata.figureIndex
+          ? `Graph ${metadata.figureIndex}`
+          : sectionPath.join(' > ') || page.sectionTitle || null,
+        sectionPath,
+        content: chunk.content,
+        ...metadata,
+        indexVersion,
+        // Character offsets of content within the page text
+        startOffset: chunk.startOffset,
+        endOffset: chunk.endOffset,
+        tokenCount: chunk.tokenCount,
+        // Transcript segments carry their time window (seconds)
+        ...(page.startTime != null && { startTime: page.startTime, endTime: page.endTime }),
+      })
+      pageChunkCount++
+      
+      // Write batch when it reaches the size limit
+      if (batch.length >= BATCH_SIZE) await writeBatch(page, pageChunkCount)
+    }
+
+    // Slide speaker notes get their own marked chunks so they are never mixed into (or
+    // mistaken for) the on-slide text
+    if (page.speakerNotes?.trim()) {
+      for (const chunk of chunkTextGenerator(page.speakerNotes, chunkOptions)) {
+        batch.push({
+          id: chunk.id,
+          documentId,
+          studentId,
+          courseId,
+          pageNumber: page.pageNumber,
+          sectionTitle: 'Speaker notes',
+          sectionPath: sectionPathAt(page, 0),
+          content: `[SPEAKER NOTES]\n${chunk.content}\n[END SPEAKER NOTES]`,
+          chunkType: 'speaker-notes',
+          indexVersion,
+          tokenCount: chunk.tokenCount,
+        })
+        pageChunkCount++
+        if (batch.length >= BATCH_SIZE) await writeBatch(page, pageChunkCount)
+      }
+    }
+    
+    // Write remaining chunks in the batch
+    if (batch.length > 0) await writeBatch(page, pageChunkCount)
+    console.log(`   ✓ Page ${page.pageNumber} complete: ${pageChunkCount} chunks written`)
+  }
+  console.log(`   ✓ Created and wrote ${totalChunks} chunks to the chunk store across ${pageTexts.length} pages`)
+
+  await saveSearchIndex(documentId, indexVersion, indexEntries)
+  return totalChunks
+}
+
+// The BM25 index lives next to the layout JSON, one blob per index version so a reindex can
+// build the next one while chat still reads the current one
+function searchIndexBlobName(documentId, indexVersion) {
+  return `${documentId}.index-v${indexVersion}.json`
+}
+
+async function saveSearchIndex(documentId, indexVersion, entries) {
+  const index = buildSearchIndex(entries)
+  const blobName = searchIndexBlobName(documentId, indexVersion)
+  await storage.parsedJson.upload(blobName, Buffer.from(JSON.stringify(index)), 'application/json')
+  console.log(`   ✓ Saved search index ${blobName} (${Object.keys(index.postings).length} terms)`)
+  return blobName
+}
+
+// Parsed search indexes by blob name; blobs are never rewritten in place, so entries stay valid.
+// Indexes built from chunks are cached by document and index version, whose chunks never change
+const searchIndexCache = new Map()
+const SEARCH_INDEX_CACHE_SIZE = 20
+
+// Loads the document's stored index, or builds one from its chunks when the document predates
+// stored indexes (or the blob is missing)
+async function loadSearchIndex(document, chunks) {
+  const blobName = document?.searchIndexBlob
+  const cacheKey = blobName || (document ? `chunks:${document.id}:v${document.indexVersion}` : null)
+  if (cacheKey && searchIndexCache.has(cacheKey)) return searchIndexCache.get(cacheKey)
+
+  let index = null
+  if (blobName) {
+    try {
+      index = JSON.parse((await storage.parsedJson.download(blobName)).toString('utf8'))
+    } catch (error) {
+      console.warn(`   ⚠️ Could not load search index ${blobName}: ${error.message}`)
+    }
+  }
+  if (!index) {
+    console.log('   Building search index from chunks (no stored index)')
+    index = buildSearchIndex(chunks)
+  }
+
+  if (cacheKey) {
+    searchIndexCache.set(cacheKey, index)
+    if (searchIndexCache.size > SEARCH_INDEX_CACHE_SIZE) {
+      searchIndexCache.delete(searchIndexCache.keys().next().value)
+    }
+  }
+  return index
+}
+
+// Sets `embedding` and `embeddingModel` on each chunk (in place)
+async function embedChunks(chunks) {
+  if (chunks.length === 0) return
+  const vectors = await withRetry(() => embedder.embed(chunks.map((chunk) => chunk.content)), {
+    label: `Embedding ${chunks.length} chunks`,
+  })
+  chunks.forEach((chunk, idx) => Object.assign(chunk, { embedding: vectors[idx], embeddingModel: embedder.model }))
+}
+
+// Retrieval and LLM messages for a question about one document: follow-up rewriting, page,
+// slide, time and section hints, hybrid ranking, context assembly and budgeted chat history.
+// Shared by /api/chat and /api/chat/stream; throws with `status` when the document has nothing
+// to answer from.
+async function prepareDocumentChat({ documentId, message, pageNumber, conversationHistory }) {
+  // Retrieve chunks for this document from the chunk store (only the live index version;
+  // a reindex in progress writes the next version alongside it)
+  const document = await storage.documents.get(documentId)
+  const allChunks = await storage.chunks.findByDocument(documentId, { indexVersion: document?.indexVersion })
+
+  if (!allChunks || allChunks.length === 0) {
+    throw Object.assign(new Error('No document chunks found for this documentId'), { status: 404 })
+  }
+
+  console.log('📤 Chat request received');
+  console.log(`   Message: "${message}"`);
+
+  // Follow-ups ("what about the second curve?") are retrieved with a standalone rewrite; the
+  // hints below read the rewrite too, so "page 7" from an earlier turn still applies
+  const history = normalizeHistory(conversationHistory)
+  const query = await rewriteFollowUp(llm, history, message)
+  if (query !== message) {
+    console.log(`   Rewrote follow-up for retrieval: "${query}"`)
+  }
+  if (pageNumber) {
+    console.log(`   Client page hint: ${pageNumber}`)
+  }
+
+  // Pages, slides, sections, times, figures and tables named in the question narrow the
+  // candidates; the filters that matched are returned with the answer
+  const isTranscript = TRANSCRIPT_FORMATS.includes(document?.format)
+  const filters = parseQueryFilters(query, { transcript: isTranscript })
+  const {
+    chunks: candidateChunks,
+    pageHint,
+    focusChunkIds,
+    applied: appliedFilters,
+  } = applyQueryFilters(allChunks, filters, { document, pageNumber })
+  for (const filter of appliedFilters) {
+    console.log(`   🎯 Filter (${filter.type}): ${filter.label}`)
+  }
+
+  // Check if this is a graph-related query
+  const isGraphQuery = /figure|graph|chart|diagram|plot|curve|illustration|image|visual/i.test(query)
+  console.log(`   🔍 Graph Query Detection: ${isGraphQuery}`)
+
+  console.log(`   📚 Retrieved ${allChunks.length} total chunks from the chunk store`);
+  console.log(`   📚 Using ${candidateChunks.length} candidate chunks after page filter`);
+  
+  // Log how many candidate chunks are figures or graph interpretations
+  const graphChunksInDb = candidateChunks.filter(isFigureChunk)
+  console.log(`   📊 Found ${graphChunksInDb.length} figure/graph chunks in database`)
+  
+  // Also check for page 7 specifically (where the monopsony graph is)
+  const page7Chunks = candidateChunks.filter(c => c.pageNumber === 7)
+  if (page7Chunks.length > 0) {
+    console.log(`   📄 (Debug) Found ${page7Chunks.length} chunks from page 7 in candidate set`)
+  }
+
+  // Rank candidates by keywords (BM25) and meaning (embeddings), fused by rank
+  const index = await loadSearchIndex(document, allChunks)
+  const relevance = await rankChunks(candidateChunks, query, [index])
+  // The figure or table the question names outranks everything else
+  for (const id of focusChunkIds) relevance.set(id, (relevance.get(id) || 0) + 1)
+
+  let formatNotes = ''
+  if (isTranscript) {
+    formatNotes += `
+- This document is a lecture transcript: each context block is labeled with its time range and each line starts with its [m:ss] timestamp
+- Cite the timestamps you draw on, e.g. "at 14:32", so the student can find the moment in the recording`
+  }
+  if (document?.format === 'pptx') {
+    formatNotes += `
+- This document is a slide deck: [Page N] in the context means slide N, so call it a slide
+- [SPEAKER NOTES] sections are the presenter's notes for that slide, not text shown on the slide`
+  }
+
+  const promptWith = (documentContext) => `You are a study assistant helping students understand their course materials.
+
+Context from document:
+${documentContext}
+
+Student question: ${message}
+
+Instructions:
+- Answer based on the context provided above
+- For questions about graphs/figures, refer to the [GRAPH STRUCTURE] sections which describe axes, curves, and visual elements
+- Be specific and detailed when explaining graph components
+- If the context doesn't contain enough information to answer confidently, say "I need more context from the document to answer that specifically"${formatNotes}`
+
+  // Instructions and question are measured first; history and then context get what is left
+  const { historyMessages, contextTokens } = await planChatPrompt(history, promptWith(''))
+  const { context: documentContext, chunks: contextChunks } = buildContextSmart(candidateChunks, query, contextTokens, pageHint, relevance)
+
+  // Log a preview of the context being sent
+  const contextPreview = documentContext.substring(0, 500)
+  console.log(`   Context preview (first 500 chars): "${contextPreview}..."`)
+  const hasGraphInterpInContext = /\[GRAPH (STRUCTURE|INTERPRETATION)\]/i.test(documentContext)
+  console.log(`   Context contains [GRAPH STRUCTURE/INTERPRETATION]: ${hasGraphInterpInContext}`)
+
+  const fullPrompt = promptWith(documentContext)
+  console.log(`   Total prompt size: ~${messageTokens([...historyMessages, { role: 'user', content: fullPrompt }])} tokens`)
+
+  return {
+    document,
+    messages: [...historyMessages, { role: 'user', content: fullPrompt }],
+    sources: contextChunks.map((chunk) => toSource(chunk, document)),
+    filters: appliedFilters,
+  }
+}
+
+// Fits earlier turns and retrieved context around a prompt template (the prompt with empty
+// context): history gets its share of the model's budget, and context tokens are what remain
+async function planChatPrompt(history, template) {
+  const instructionTokens = messageTokens([{ role: 'user', content: template }])
+  const historyMessages = await budgetHistory(llm, history, chatBudget.history(instructionTokens))
+  const historyTokens = messageTokens(historyMessages)
+  const contextTokens = chatBudget.context(instructionTokens + historyTokens)
+  if (history.length > 0) {
+    console.log(`   Including ${historyMessages.length} history messages (from ${history.length} turns)`)
+  }
+  console.log(`   🧮 Budget: ${instructionTokens} instructions + ${historyTokens} history + ${contextTokens} context + ${chatBudget.answerTokens} answer (of ${chatBudget.contextWindow})`)
+  return { historyMessages, contextTokens }
+}
+
+// The study session a chat request continues, or null when it starts a new one
+async function findChatSession(sessionId, documentId) {
+  if (!sessionId) return null
+  const session = await sessions.get(sessionId)
+  if (!session) {
+    throw Object.assign(new Error('Session not found'), { status: 404 })
+  }
+  if (session.documentId !== documentId) {
+    throw Object.assign(new Error('Session belongs to another document'), { status: 400 })
+  }
+  return session
+}
+
+// Saves a question and its answer to the study session, starting one for the student if
+// needed. Returns the session id, or null for anonymous chats. A failed save is logged but
+// never costs the student the answer.
+async function recordChatTurn({ session, studentId, document, question, answer, sources, filters, stopped = false }) {
+  if (!session && !studentId) return null
+  try {
+    const target = session || await sessions.create({ studentId, document })
+    await sessions.appendTurn(target.id, { question, answer, sources, filters, stopped })
+    return target.id
+  } catch (error) {
+    console.warn(`   ⚠️ Could not save chat turn to session: ${error.message}`)
+    return session?.id || null
+  }
+}
+
+app.post('/api/chat', express.json(), async (req, res) => {
+  try {
+    const { documentId, message, pageNumber, conversationHistory, studentId, sessionId } = req.body
+
+    if (!documentId || !message) {
+      return res.status(400).json({ error: 'documentId and message are required' })
+    }
+
+    // Without a history from the client, a resumed session supplies its own transcript
+    const session = await findChatSession(sessionId, documentId)
+    const { document, messages, sources, filters } = await prepareDocumentChat({
+      documentId,
+      message,
+      pageNumber,
+      conversationHistory: conversationHistory ?? session?.messages,
+    })
+
+    // Call the configured LLM provider
+    const completion = await llm.complete({
+      messages,
+      temperature: 0.2,
+      maxTokens: chatBudget.answerTokens,
+    })
+    logUsage('Chat', completion)
+
+    // Format response for better readability
+    const formattedReply = formatResponse(completion.content || 'No response generated')
+    console.log(`   ✓ Response generated: "${formattedReply.substring(0, 50)}..."`)
+
+    const savedSessionId = await recordChatTurn({ session, studentId, document, question: message, answer: formattedReply, sources, filters })
+    return res.json({ reply: formattedReply, usage: completion.usage, sources, filters, sessionId: savedSessionId })
+  } catch (error) {
+    console.error('Chat error:', error.message)
+    return res.status(error.status || 500).json({ error: 'Chat failed', detail: error.message })
+  }
+})
+
+// Streaming variant of /api/chat over server-sent events: `token` events carry the answer text
+// as the model produces it, then `done` carries the formatted reply with usage and sources
+// (or `error` if generation fails). Closing the connection cancels the generation; the partial
+// answer is still saved to the session, marked as stopped.
+app.post('/api/chat/stream', express.json(), async (req, res) => {
+  const { documentId, message, pageNumber, conversationHistory, studentId, sessionId } = req.body
+
+  if (!documentId || !message) {
+    return res.status(400).json({ error: 'documentId and message are required' })
+  }
+
+  const controller = new AbortController()
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort()
+  })
+
+  let session, prepared
+  try {
+    session = await findChatSession(sessionId, documentId)
+    prepared = await prepareDocumentChat({
+      documentId,
+      message,
+      pageNumber,
+      conversationHistory: conversationHistory ?? session?.messages,
+    })
+  } catch (error) {
+    console.error('Chat error:', error.message)
+    return res.status(error.status || 500).json({ error: 'Chat failed', detail: error.message })
+  }
+  if (controller.signal.aborted) return
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  })
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+  const turn = {
+    session,
+    studentId,
+    document: prepared.document,
+    question: message,
+    sources: prepared.sources,
+    filters: prepared.filters,
+  }
+
+  let partial = ''
+  try {
+    const completion = await llm.complete({
+      messages: prepared.messages,
+      temperature: 0.2,
+      maxTokens: chatBudget.answerTokens,
+      onToken: (text) => {
+        partial += text
+        send('token', { text })
+      },
+      signal: controller.signal,
+    })
+    logUsage('Chat (streamed)', completion)
+
+    const formattedReply = formatResponse(completion.content || 'No response generated')
+    console.log(`   ✓ Response streamed: "${formattedReply.substring(0, 50)}..."`)
+    const savedSessionId = await recordChatTurn({ ...turn, answer: formattedReply })
+    send('done', {
+      reply: formattedReply,
+      usage: completion.usage,
+      sources: prepared.sources,
+      filters: prepared.filters,
+      sessionId: savedSessionId,
+    })
+  } catch (error) {
+    if (controller.signal.aborted) {
+      console.log('   ⏹️ Chat generation cancelled by the client')
+      if (partial) await recordChatTurn({ ...turn, answer: partial, stopped: true })
+      return
+    }
+    console.error('Chat stream error:', error.message)
+    send('error', { error: 'Chat failed', detail: error.message })
+  }
+  res.end()
+})
+
+// Chat across every processed document the student has in a course. Each document contributes
+// the chunks of its live index version, and chunks are ranked as one set so the best passages
+// win whichever lecture they come from. Context blocks are labeled with document and page.
+app.post('/api/courses/:courseId/chat', express.json(), async (req, res) => {
+  try {
+    const { courseId } = req.params
+    const { studentId, message, conversationHistory } = req.body
+
+    if (!studentId || !message) {
+      return res.status(400).json({ error: 'studentId and message are required' })
+    }
+
+    const documents = (await storage.documents.find({ studentId, courseId }))
+      .filter((document) => document.indexVersion != null)
+    if (documents.length === 0) {
+      return res.status(404).json({ error: 'No processed documents found for this course' })
+    }
+
+    const chunkSets = await Promise.all(documents.map((document) =>
+      storage.chunks.findByDocument(document.id, { indexVersion: document.indexVersion })))
+    const allChunks = chunkSets.flat()
+    if (allChunks.length === 0) {
+      return res.status(404).json({ error: 'No document chunks found for this course' })
+    }
+
+    console.log('📤 Course chat request received')
+    console.log(`   Course: ${courseId} (${documents.length} documents, ${allChunks.length} chunks)`)
+    console.log(`   Message: "${message}"`)
+
+    const history = normalizeHistory(conversationHistory)
+    const query = await rewriteFollowUp(llm, history, message)
+    if (query !== message) console.log(`   Rewrote follow-up for retrieval: "${query}"`)
+
+    const indexes = await Promise.all(documents.map((document, idx) => loadSearchIndex(document, chunkSets[idx])))
+    const relevance = await rankChunks(allChunks, query, indexes)
+    const documentsById = new Map(documents.map((document) => [document.id, document]))
+
+    const promptWith = (courseContext) => `You are a study assistant helping students revise across all of their materials for a course.
+
+Context from course documents:
+${courseContext}
+
+Student question: ${message}
+
+Instructions:
+- Answer based on the context provided above
+- Each context block is labeled with the document it comes from and its page, slide or time range
+- Say which lecture or document each fact comes from, e.g. "(Lecture 3.pdf, page 4)"
+- When documents disagree or build on each other, point that out
+- For questions about graphs/figures, refer to the [GRAPH STRUCTURE] sections which describe axes, curves, and visual elements
+- If the context doesn't contain enough information to answer confidently, say "I need more context from your course materials to answer that specifically"`
+
+    const { historyMessages, contextTokens } = await planChatPrompt(history, promptWith(''))
+    const { context: courseContext, chunks: contextChunks } = buildContextSmart(allChunks, query, contextTokens, null, relevance, documentsById)
+    const fullPrompt = promptWith(courseContext)
+
+    const completion = await llm.complete({
+      messages: [...historyMessages, { role: 'user', content: fullPrompt }],
+      temperature: 0.2,
+      maxTokens: chatBudget.answerTokens,
+    })
+    logUsage('Course chat', completion)
+
+    const formattedReply = formatResponse(completion.content || 'No response generated')
+    console.log(`   ✓ Response generated: "${formattedReply.substring(0, 50)}..."`)
+
+    const sources = contextChunks.map((chunk) => toSource(chunk, documentsById.get(chunk.documentId)))
+    return res.json({ reply: formattedReply, usage: completion.usage, sources, documentCount: documents.length })
+  } catch (error) {
+    console.error('Course chat error:', error.message)
+    return res.status(error.status || 500).json({ error: 'Course chat failed', detail: error.message })
+  }
+})
+
+// Study sessions: a student's chat transcripts, newest first. Filter by documentId to find the
+// session to resume for a document.
+app.get('/api/sessions', async (req, res) => {
+  try {
+    const { studentId, documentId, courseId } = req.query
+    if (!studentId) {
+      return res.status(400).json({ error: 'studentId is required' })
+    }
+    return res.json({ sessions: await sessions.list({ studentId, documentId, courseId }) })
+  } catch (error) {
+    console.error('Session list error:', error.message)
+    return res.status(500).json({ error: 'Session list failed', detail: error.message })
+  }
+})
+
+app.get('/api/sessions/:sessionId', async (req, res) => {
+  try {
+    const session = await sessions.get(req.params.sessionId)
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' })
+    }
+    return res.json(session)
+  } catch (error) {
+    console.error('Session lookup error:', error.message)
+    return res.status(500).json({ error: 'Session lookup failed', detail: error.message })
+  }
+})
+
+app.delete('/api/sessions/:sessionId', async (req, res) => {
+  try {
+    const { sessionId } = req.params
+    const session = await sessions.get(sessionId)
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' })
+    }
+    await sessions.delete(sessionId)
+    console.log(`🗑️  Deleted study session ${sessionId}`)
+    return res.json({ sessionId, deleted: true })
+  } catch (error) {
+    console.error('Session delete error:', error.message)
+    return res.status(500).json({ error: 'Session delete failed', detail: error.message })
+  }
+})
+
+app.get('/health', (req, res) => {
+  res.json({ ok: true })
+})
+
+// Serves blobs for the local and in-memory storage providers (Azure hands out SAS URLs instead)
+app.get('/api/blobs/:container/:blobName', async (req, res) => {
+  try {
+    const { container, blobName } = req.params
+    const store = [storage.uploads, storage.parsedJson].find((c) => c.name === container)
+    if (!store || storage.provider === 'azure') {
+      return res.status(404).json({ error: 'Blob not found' })
     }
 
-    if (!file) {
-      console.log('   ❌ No file received')
-      return res.status(400).json({ error: 'File is required (field name: file)' })
+    const props = await store.getProperties(blobName)
+    if (!props) {
+      return res.status(404).json({ error: 'Blob not found' })
     }
 
-    if (file.mimetype !== 'application/pdf') {
-      console.log('   ❌ Invalid file type')
-      return res.status(400).json({ error: 'Only PDF files are supported' })
-    }
+    res.set('Content-Type', props.contentType)
+    return res.send(await store.download(blobName))
+  } catch (error) {
+    console.error('Blob download error:', error.message)
+    return res.status(500).json({ error: 'Blob download failed', detail: error.message })
+  }
+})
 
-    const documentId = uuidv4()
-    const blobName = `${documentId}-${file.originalname}`
-    console.log('   Document ID:', documentId)
+// Document library: a student's uploads with their latest ingestion status
+app.get('/api/documents', async (req, res) => {
+  try {
+    const { studentId, courseId } = req.query
+    if (!studentId) {
+      return res.status(400).json({ error: 'studentId is required' })
+    }
 
-    // Initialize progress tracking
-    uploadProgress.set(documentId, {
-      stage: 'uploading',
-      progress: 0,
-      startTime: Date.now(),
-      message: 'Starting upload...',
-    })
+    const [documents, jobs] = await Promise.all([
+      storage.documents.find({ studentId, courseId }),
+      ingestionQueue.find({ studentId, courseId }),
+    ])
+    const latestJobs = new Map()
+    for (const job of jobs) {
+      const latest = latestJobs.get(job.documentId)
+      if (!latest || job.createdAt > latest.createdAt) latestJobs.set(job.documentId, job)
+    }
 
-    // Upload the PDF to blob storage
-    console.log('   Uploading to blob storage...')
-    const uploadClient = uploadsContainer.getBlockBlobClient(blobName)
-    await uploadClient.uploadData(file.buffer, {
-      blobHTTPHeaders: { blobContentType: file.mimetype },
+    return res.json({
+      documents: documents
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map((document) => formatDocument(document, latestJobs.get(document.id))),
     })
-    
-    // Verify upload completed successfully
-    const props = await uploadClient.getProperties()
-    console.log(`   ✓ Blob uploaded and verified: ${props.contentLength} bytes`)
+  } catch (error) {
+    console.error('Document list error:', error.message)
+    return res.status(500).json({ error: 'Document list failed', detail: error.message })
+  }
+})
 
-    // Update progress: analyzing (0-40% reserved for analysis)
-    uploadProgress.set(documentId, {
-      stage: 'analyzing',
-      progress: 0,
-      startTime: uploadProgress.get(documentId).startTime,
-      message: 'Running Document Intelligence analysis...',
-    })
-    
-    // WORKAROUND for eastus2 legacy endpoint: split PDF and process in batches
-    console.log('   Endpoint is eastus2 (legacy) - using PDF split workaround...')
-    const pdfDoc = await PDFDocument.load(file.buffer)
-    const totalPages = pdfDoc.getPageCount()
-    console.log(`   Total pages in PDF: ${totalPages}`)
-    
-    let allPages = []
-    const PAGES_PER_CHUNK = 2 // Process 2 pages at a time
-    
-    for (let i = 0; i < totalPages; i += PAGES_PER_CHUNK) {
-      const endPage = Math.min(i + PAGES_PER_CHUNK, totalPages)
-      const pagesProcessed = endPage
-      const progressPercent = (pagesProcessed / totalPages) * 100
-      
-      console.log(`   Processing pages ${i + 1}-${endPage}...`)
-      
-      // Create a sub-PDF with this batch of pages
-      const subPdf = await PDFDocument.create()
-      for (let pageIdx = i; pageIdx < endPage; pageIdx++) {
-        const [copiedPage] = await subPdf.copyPages(pdfDoc, [pageIdx])
-        subPdf.addPage(copiedPage)
-      }
-      const subPdfBytes = await subPdf.save()
-      
-      // Process this chunk
-      const poller = await docClient.beginAnalyzeDocument(
-        'prebuilt-layout',
-        subPdfBytes,
-        {
-          contentType: 'application/pdf',
-          locale: 'en-US',
-        }
-      )
-      const chunkResult = await poller.pollUntilDone()
-      console.log(`      Got ${chunkResult.pages?.length || 0} pages from this chunk`)
-      
-      if (chunkResult.pages) {
-        // Normalize page numbers to absolute positions in the original PDF
-        chunkResult.pages.forEach((p, idx) => {
-          const absolutePageNumber = i + idx + 1 // i is zero-based start index
-          allPages.push({ ...p, pageNumber: absolutePageNumber })
-        })
-      }
-      
-      // Update progress: 0-40% for analysis phase
-      const analysisProgress = Math.round(progressPercent * 0.4)
-      uploadProgress.set(documentId, {
-        stage: 'analyzing',
-        progress: analysisProgress,
-        startTime: uploadProgress.get(documentId).startTime,
-        message: `Analyzed ${pagesProcessed}/${totalPages} pages`,
-      })
+app.get('/api/documents/:documentId', async (req, res) => {
+  try {
+    const { documentId } = req.params
+    const document = await storage.documents.get(documentId)
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' })
     }
-    
-    console.log(`   ✓ Analysis complete - total pages collected: ${allPages.length}`)
-    
-    // Create result object with all pages
-    let result = { pages: allPages }
-    const layoutJson = JSON.parse(JSON.stringify(result))
 
-    // Save parsed JSON to blob
-    console.log('   Saving parsed JSON...')
-    const jsonBlobName = `${documentId}.json`
-    const jsonClient = jsonContainer.getBlockBlobClient(jsonBlobName)
-    await jsonClient.uploadData(Buffer.from(JSON.stringify(layoutJson, null, 2)), {
-      blobHTTPHeaders: { blobContentType: 'application/json' },
+    const job = await findLatestIngestionJob(documentId)
+    return res.json({
+      ...formatDocument(document, job),
+      figures: document.figures || [],
+      pdfUrl: storage.uploads.getUrl(document.blobName, { expiresInMinutes: 1440 }), // 24 hours
     })
-    console.log('   ✓ JSON saved')
+  } catch (error) {
+    console.error('Document lookup error:', error.message)
+    return res.status(500).json({ error: 'Document lookup failed', detail: error.message })
+  }
+})
 
-    // Chunk text and write to Cosmos DB in batches
-    console.log('   Chunking text...')
-    let pageTexts = extractPageTexts(result)
-    console.log(`   Extracted ${pageTexts.length} pages from document`)
-    pageTexts.forEach(p => {
-      console.log(`      Page ${p.pageNumber}: ${p.text.length} chars, ${p.figureMetadata?.length || 0} figures`)
-      if (p.figureMetadata && p.figureMetadata.length > 0) {
-        p.figureMetadata.forEach((fig, idx) => {
-          console.log(`         Figure ${idx + 1}: "${fig.caption.substring(0, 50)}..." - Missing: ${fig.missingElements}`)
-        })
-      }
-    })
-    
-    // Enrich graphs with AI-inferred context
-    pageTexts = await enrichGraphDescriptions(pageTexts)
-    
-    // Update progress: chunking
-    uploadProgress.set(documentId, {
-      stage: 'chunking',
-      progress: 40,
-      startTime: uploadProgress.get(documentId).startTime,
-      message: 'Chunking text and preparing for storage...',
-    })
-    
-    // Clear the large result object from memory
-    result = null
-    
-    let totalChunks = 0
-    const BATCH_SIZE = 50
-    const MAX_CHUNKS_PER_PAGE = 500 // Safety limit
-    
-    // Estimate total chunks by sampling first page
-    let estimatedTotalChunks = 100
-    if (pageTexts.length > 0 && pageTexts[0].text) {
-      const sampleChunks = Array.from(chunkTextGenerator(pageTexts[0].text, 1000, 150)).length
-      estimatedTotalChunks = Math.max(sampleChunks * pageTexts.length, 10)
+// Table of contents with page ranges. Documents indexed before outlines were recorded get one
+// built from their stored layout JSON.
+app.get('/api/documents/:documentId/outline', async (req, res) => {
+  try {
+    const { documentId } = req.params
+    const document = await storage.documents.get(documentId)
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' })
+    }
+    if (!document.jsonBlob) {
+      return res.status(409).json({ error: 'Document has no stored layout yet; wait for ingestion to complete' })
     }
-    
-    console.log('   Writing chunks to Cosmos DB in batches...')
-    for (const page of pageTexts) {
-      console.log(`   Processing page ${page.pageNumber} (${page.text?.length || 0} chars)...`)
-      console.log(`      Page text preview: "${(page.text || '').substring(0, 200)}${(page.text || '').length > 200 ? '...' : ''}"`)
-      
-      if (!page.text || page.text.trim().length === 0) {
-        console.log(`      Skipping page ${page.pageNumber} - no text content`)
-        continue
-      }
-      
-      const batch = []
-      let pageChunkCount = 0
 
-      // Add a SEPARATE dedicated chunk for EACH figure on the page
-      const figureBlocks = Array.from((page.text || '').matchAll(/\[FIGURE[\s\S]*?\[END FIGURE \d+\]/gi)).map(m => m[0])
-      if (figureBlocks.length > 0) {
-        console.log(`      📊 Found ${figureBlocks.length} figure(s) on page ${page.pageNumber}`)
-        
-        for (let figIdx = 0; figIdx < figureBlocks.length; figIdx++) {
-          const graphChunkContent = figureBlocks[figIdx]
-          const hasInterpretation = /\[GRAPH (STRUCTURE|INTERPRETATION)\]/i.test(graphChunkContent)
-          
-          batch.push({
-            id: uuidv4(),
-            documentId,
-            studentId,
-            courseId,
-            pageNumber: page.pageNumber,
-            sectionTitle: `Graph ${figIdx + 1}`,
-            content: graphChunkContent,
-          })
-          pageChunkCount++
-          console.log(`         Figure ${figIdx + 1}: Added dedicated chunk (len=${graphChunkContent.length}, hasInterpretation=${hasInterpretation})`)
-          
-          if (hasInterpretation) {
-            const interpretMatch = graphChunkContent.match(/\[GRAPH (STRUCTURE|INTERPRETATION)\][:\s]*([^\[]{0,150})/i)
-            if (interpretMatch) {
-              console.log(`            Preview: "${interpretMatch[2].trim()}..."`)
-            }
-          }
-
-          if (batch.length >= BATCH_SIZE) {
-            await cosmosContainer.items.bulk(
-              batch.map((doc) => ({ operationType: 'Create', resourceBody: doc })),
-            )
-            totalChunks += batch.length
-            console.log(`      Wrote ${totalChunks} chunks total (${pageChunkCount} from page ${page.pageNumber})...`)
-
-            const storageProgress = 40 + (55 * (totalChunks / Math.max(estimatedTotalChunks, 10)))
-            uploadProgress.set(documentId, {
-              stage: 'storing',
-              progress: Math.min(Math.round(storageProgress), 95),
-              startTime: uploadProgress.get(documentId).startTime,
-              message: `Storing ${totalChunks} chunks in database...`,
-            })
-
-            batch.length = 0
-          }
-        }
-      }
-      
-      for (const chunk of chunkTextGenerator(page.text, 1000, 150)) {
-        // Safety check to prevent infinite loops
-        if (pageChunkCount >= MAX_CHUNKS_PER_PAGE) {
-          console.log(`      Warning: Reached max chunks limit for page ${page.pageNumber}, stopping chunk generation`)
-          break
-        }
-        
-        // Log if this chunk contains graph interpretation
-        const hasGraphInterpretation = /\[graph (structure|interpretation)\]|\[figure \d+\]/i.test(chunk.content)
-        if (hasGraphInterpretation) {
-          console.log(`      📊 Graph chunk found on page ${page.pageNumber}: ${chunk.content.substring(0, 100)}...`)
-        }
-        
-        batch.push({
-          id: chunk.id,
-          documentId,
-          studentId,
-          courseId,
-          pageNumber: page.pageNumber,
-          sectionTitle: null,
-          content: chunk.content,
-        })
-        pageChunkCount++
-        
-        // Write batch when it reaches the size limit
-        if (batch.length >= BATCH_SIZE) {
-          await cosmosContainer.items.bulk(
-            batch.map((doc) => ({ operationType: 'Create', resourceBody: doc })),
-          )
-          totalChunks += batch.length
-          console.log(`      Wrote ${totalChunks} chunks total (${pageChunkCount} from page ${page.pageNumber})...`)
-          
-          // Update progress: 40-95% for storage phase based on chunks written
-          const storageProgress = 40 + (55 * (totalChunks / Math.max(estimatedTotalChunks, 10)))
-          uploadProgress.set(documentId, {
-            stage: 'storing',
-            progress: Math.min(Math.round(storageProgress), 95),
-            startTime: uploadProgress.get(documentId).startTime,
-            message: `Storing ${totalChunks} chunks in database...`,
-          })
-          
-          batch.length = 0 // Clear the array for next batch
-        }
-      }
-      
-      // Write remaining chunks in the batch
-      if (batch.length > 0) {
-        await cosmosContainer.items.bulk(
-          batch.map((doc) => ({ operationType: 'Create', resourceBody: doc })),
-        )
-        totalChunks += batch.length
-        console.log(`      Wrote ${totalChunks} chunks total (final batch from page ${page.pageNumber})...`)
-        
-        // Final progress update
-        const storageProgress = 40 + (55 * (totalChunks / Math.max(estimatedTotalChunks, 10)))
-        uploadProgress.set(documentId, {
-          stage: 'storing',
-          progress: Math.min(Math.round(storageProgress), 95),
-          startTime: uploadProgress.get(documentId).startTime,
-          message: `Storing ${totalChunks} chunks in database...`,
-        })
-      }
-      console.log(`   ✓ Page ${page.pageNumber} complete: ${pageChunkCount} chunks written`)
+    let outline = document.outline
+    if (!outline) {
+      const layout = JSON.parse((await storage.parsedJson.download(document.jsonBlob)).toString('utf8'))
+      outline = buildOutline(assignSections(pageTextsFromLayout(layout)))
     }
-    console.log(`   ✓ Created and wrote ${totalChunks} chunks to Cosmos DB across ${pageTexts.length} pages`)
+    return res.json({ documentId, fileName: document.fileName, pageCount: document.pageCount, outline })
+  } catch (error) {
+    console.error('Outline error:', error.message)
+    return res.status(500).json({ error: 'Outline lookup failed', detail: error.message })
+  }
+})
 
-    // Generate a SAS URL for the PDF for the frontend to display
-    const pdfSasUrl = buildBlobSasUrl({
-      containerName: BLOB_UPLOADS_CONTAINER,
-      blobName,
-      blobCredential,
-      accountName,
-      expiresInMinutes: 1440, // 24 hours
-    })
-    console.log('   ✓ PDF SAS URL generated')
-    console.log('   PDF URL:', pdfSasUrl)
+// Removes the upload blob, parsed layout JSON, leftover checkpoint blobs, every chunk, the
+// ingestion jobs and the study sessions for a document. Refused while ingestion is still queued or running.
+app.delete('/api/documents/:documentId', async (req, res) => {
+  try {
+    const { documentId } = req.params
+    const document = await storage.documents.get(documentId)
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' })
+    }
 
-    console.log('✅ Upload complete:', documentId)
-    
-    // Mark as complete and clean up after 10 seconds
-    uploadProgress.set(documentId, {
-      stage: 'complete',
-      progress: 100,
-      startTime: uploadProgress.get(documentId).startTime,
-      message: 'Ready for study session!',
-    })
-    setTimeout(() => uploadProgress.delete(documentId), 10000)
-    
-    return res.status(201).json({
-      documentId,
-      pdfUrl: pdfSasUrl,
-      pdfBlob: blobName,
-      jsonBlob: jsonBlobName,
-      chunksWritten: totalChunks,
-    })
+    const jobs = await ingestionQueue.find({ documentId })
+    if (jobs.some((job) => job.status === 'queued' || job.status === 'running')) {
+      return res.status(409).json({ error: 'Document is still being processed; try again once ingestion finishes' })
+    }
+
+    console.log(`🗑️  Deleting document ${documentId} (${document.fileName})`)
+    const parsedBlobs = [
+      `${documentId}.json`,
+      `${documentId}.enriched.json`,
+      ...(document.searchIndexBlob ? [document.searchIndexBlob] : []),
+      ...jobs.flatMap((job) => job.checkpoints?.analyzedBatches || []),
+    ]
+    await storage.uploads.delete(document.blobName)
+    await Promise.all(parsedBlobs.map((name) => storage.parsedJson.delete(name)))
+    const chunksDeleted = await storage.chunks.deleteByDocument(documentId)
+    await Promise.all(jobs.map((job) => storage.jobs.delete(job.id)))
+    const sessionsDeleted = await sessions.deleteByDocument(documentId)
+    await storage.documents.delete(documentId)
+    console.log(`   ✓ Removed ${chunksDeleted} chunks, ${jobs.length} job(s) and ${sessionsDeleted} study session(s)`)
+
+    return res.json({ documentId, deleted: true, chunksDeleted, sessionsDeleted })
   } catch (error) {
-    console.error('❌ Upload error:', error.message)
-    console.error('   Stack:', error.stack)
-    return res.status(500).json({ error: 'Upload failed', detail: error.message })
+    console.error('Document delete error:', error.message)
+    return res.status(500).json({ error: 'Document delete failed', detail: error.message })
   }
 })
 
-app.post('/api/chat', express.json(), async (req, res) => {
+function formatDocument(document, job) {
+  return {
+    documentId: document.id,
+    fileName: document.fileName,
+    studentId: document.studentId,
+    courseId: document.courseId,
+    contentType: document.contentType,
+    format: document.format || 'pdf',
+    size: document.size,
+    contentHash: document.contentHash || null,
+    sourceDocumentId: document.sourceDocumentId || null,
+    pageCount: document.pageCount,
+    chunkCount: document.chunkCount,
+    figureCount: document.figureCount,
+    indexVersion: document.indexVersion ?? null,
+    indexSettings: document.indexSettings || null,
+    status: job?.status || 'unknown',
+    stage: job?.stage || null,
+    progress: job?.progress ?? null,
+    error: job?.error || null,
+    jobId: job?.id || null,
+    createdAt: document.createdAt,
+    updatedAt: document.updatedAt,
+  }
+}
+
+// A document may have been ingested more than once; the latest job is the one that counts
+async function findLatestIngestionJob(documentId) {
+  const [job] = (await ingestionQueue.find({ documentId }))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+  return job || null
+}
+
+app.get('/api/documents/:documentId/status', async (req, res) => {
   try {
-    const { documentId, message, pageNumber, conversationHistory = [] } = req.body
+    const { documentId } = req.params
+    const job = await findLatestIngestionJob(documentId)
 
-    if (!documentId || !message) {
-      return res.status(400).json({ error: 'documentId and message are required' })
+    if (!job) {
+      return res.status(404).json({ error: 'Document not found' })
     }
 
-    // Retrieve chunks for this document from Cosmos
-    const query = {
-    query: 'SELECT * FROM c WHERE c.documentId = @documentId ORDER BY c.pageNumber',
-    parameters: [{ name: '@documentId', value: documentId }],
-    };
+    return res.json(formatJobStatus(job))
+  } catch (error) {
+    console.error('Status error:', error.message)
+    return res.status(500).json({ error: 'Status lookup failed', detail: error.message })
+  }
+})
 
-    const { resources: allChunks } = await cosmosContainer.items.query(query).fetchAll();
+// Live ingestion progress as Server-Sent Events. The stream opens with a 'status' snapshot of the
+// latest job, then relays 'stage', 'progress', 'page', 'figure' and 'chunks' events and closes
+// after 'completed' or 'failed'. Progress and failure payloads use the same shape as /status.
+app.get('/api/documents/:documentId/events', async (req, res) => {
+  const { documentId } = req.params
 
-    if (!allChunks || allChunks.length === 0) {
-    return res.status(404).json({ error: 'No document chunks found for this documentId' });
-    }
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+  let unsubscribe = () => {}
+  let heartbeat = null
+  let closed = false
+  const close = () => {
+    if (closed) return
+    closed = true
+    unsubscribe()
+    clearInterval(heartbeat)
+    res.end()
+  }
 
-    console.log('📤 Chat request received');
-    console.log(`   Message: "${message}"`);
-    if (pageNumber) {
-      console.log(`   Client page hint: ${pageNumber}`)
+  // Subscribe before loading the snapshot so nothing slips in between; events that arrive
+  // while the snapshot is loading are held back and sent after it
+  let backlog = []
+  const relay = ({ type, job, data }) => {
+    if (job.documentId !== documentId) return
+    if (backlog) {
+      backlog.push({ type, job, data })
+      return
     }
-
-    // Auto-detect page reference in message (e.g., "page 7")
-    let pageHint = pageNumber
-    const pageMatch = message.match(/page\s+(\d{1,3})/i)
-    if (!pageHint && pageMatch) {
-      pageHint = parseInt(pageMatch[1], 10)
-      if (!Number.isNaN(pageHint)) {
-        console.log(`   Auto-detected page hint from message: ${pageHint}`)
-      }
+    if (type === 'progress' || type === 'completed' || type === 'failed') {
+      send(type, formatJobStatus(job))
+    } else {
+      send(type, { jobId: job.id, stage: job.stage, progress: job.progress, ...data })
     }
+    if (type === 'completed' || type === 'failed') close()
+  }
+  unsubscribe = ingestionQueue.subscribe(relay)
 
-    // Narrow chunks to hinted page (with +/-1 window) if provided
-    let candidateChunks = allChunks
-    if (pageHint && Number.isFinite(pageHint)) {
-      const windowPages = [pageHint - 1, pageHint, pageHint + 1].filter(p => p >= 1)
-      candidateChunks = allChunks.filter(c => windowPages.includes(c.pageNumber))
-      console.log(`   📄 Page hint active. Window: ${windowPages.join(', ')} -> ${candidateChunks.length} chunks`)
-      if (candidateChunks.length === 0) {
-        console.log('   ⚠️ No chunks in hinted window; falling back to all pages')
-        candidateChunks = allChunks
-      }
+  try {
+    const job = await findLatestIngestionJob(documentId)
+    if (!job) {
+      unsubscribe()
+      return res.status(404).json({ error: 'Document not found' })
     }
-    
-    // Check if this is a graph-related query
-    const isGraphQuery = /figure|graph|chart|diagram|plot|curve|illustration|image|visual/i.test(message)
-    console.log(`   🔍 Graph Query Detection: ${isGraphQuery}`)
 
-    console.log(`   📚 Retrieved ${allChunks.length} total chunks from Cosmos`);
-    console.log(`   📚 Using ${candidateChunks.length} candidate chunks after page filter`);
-    
-    // Log how many chunks contain graph interpretations (check multiple patterns)
-    const graphChunksInDb = candidateChunks.filter(c => {
-      const content = c.content || ''
-      return /\[graph (structure|interpretation)\]/i.test(content) || 
-             /\[figure \d+\]/i.test(content) ||
-             /\[end figure \d+\]/i.test(content)
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
     })
-    console.log(`   📊 Found ${graphChunksInDb.length} chunks with graph/figure markers in database`)
-    
-    // Also check for page 7 specifically (where the monopsony graph is)
-    const page7Chunks = candidateChunks.filter(c => c.pageNumber === 7)
-    if (page7Chunks.length > 0) {
-      console.log(`   📄 (Debug) Found ${page7Chunks.length} chunks from page 7 in candidate set`)
-    }
-
-    // Build context with AGGRESSIVE relevance filtering
-    const documentContext = buildContextSmart(candidateChunks, message, 6000, pageHint)
+    send('status', formatJobStatus(job))
 
-    console.log(`   Context size: ${documentContext.length} chars (max 6000)`);
-    console.log(`   Prompt will be ~${documentContext.length + message.length + 300} chars total`);
-    
-    // Log a preview of the context being sent
-    const contextPreview = documentContext.substring(0, 500)
-    console.log(`   Context preview (first 500 chars): "${contextPreview}..."`)
-    const hasGraphInterpInContext = /\[GRAPH (STRUCTURE|INTERPRETATION)\]/i.test(documentContext)
-    console.log(`   Context contains [GRAPH STRUCTURE/INTERPRETATION]: ${hasGraphInterpInContext}`)
+    // Nothing more will happen to a finished job unless it is retried
+    if (job.status === 'completed' || job.status === 'failed') {
+      send(job.status, formatJobStatus(job))
+      return close()
+    }
 
-    const fullPrompt = `You are a study assistant helping students understand their course materials.
+    const held = backlog
+    backlog = null
+    held.forEach(relay)
+    if (closed) return
 
-Context from document:
-${documentContext}
+    heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000)
+    req.on('close', close)
+  } catch (error) {
+    console.error('Progress stream error:', error.message)
+    if (res.headersSent) {
+      send('failed', { documentId, status: 'failed', error: { message: error.message } })
+      return close()
+    }
+    unsubscribe()
+    return res.status(500).json({ error: 'Progress stream failed', detail: error.message })
+  }
+})
 
-Student question: ${message}
+// Rebuild a document's chunks from its stored layout JSON with new settings, without running
+// document analysis again. Queued on the ingestion queue; follow it with /status or /events.
+app.post('/api/documents/:documentId/reindex', express.json(), async (req, res) => {
+  try {
+    const { documentId } = req.params
+    const document = await storage.documents.get(documentId)
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' })
+    }
+    if (!document.jsonBlob) {
+      return res.status(409).json({ error: 'Document has no stored layout yet; wait for ingestion to complete' })
+    }
 
-Instructions:
-- Answer based on the context provided above
-- For questions about graphs/figures, refer to the [GRAPH STRUCTURE] sections which describe axes, curves, and visual elements
-- Be specific and detailed when explaining graph components
-- If the context doesn't contain enough information to answer confidently, say "I need more context from the document to answer that specifically"`;
+    const jobs = await ingestionQueue.find({ documentId })
+    if (jobs.some((job) => job.status === 'queued' || job.status === 'running')) {
+      return res.status(409).json({ error: 'Document is still being processed; try again once the current job finishes' })
+    }
 
-    console.log(`   Total prompt size: ${fullPrompt.length} chars`);
+    const { chunkTokens, overlapTokens, enrichGraphs, templateVersion } = req.body || {}
+    if (req.body?.chunkSize !== undefined || req.body?.overlap !== undefined) {
+      return res.status(400).json({ error: 'chunkSize/overlap (characters) were replaced by chunkTokens/overlapTokens' })
+    }
+    const settings = resolveIndexSettings({ chunkTokens, overlapTokens, enrichGraphs, templateVersion })
 
-    // Call Groq API
-    const completion = await groq.chat.completions.create({
-      messages: [
-        {
-          role: 'user',
-          content: fullPrompt,
-        },
-      ],
-      model: GROQ_MODEL,
-      temperature: 0.2,
-      max_tokens: 1024,
-    });
+    const job = await ingestionQueue.submit({
+      mode: 'reindex',
+      documentId,
+      studentId: document.studentId,
+      courseId: document.courseId,
+      fileName: document.fileName,
+      format: document.format,
+      contentType: document.contentType,
+      blobName: document.blobName,
+      settings,
+    })
+    console.log(`🔄 Re-index job queued for document ${documentId}: ${job.id}`)
 
-    const reply = completion.choices[0]?.message?.content || 'No response generated';
+    return res.status(202).json({
+      documentId,
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`,
+      settings,
+    })
+  } catch (error) {
+    console.error('Reindex error:', error.message)
+    return res.status(error.status || 500).json({ error: 'Reindex failed', detail: error.message })
+  }
+})
 
-    // Format response for better readability
-    const formattedReply = formatResponse(reply)
+// Resume the latest failed ingestion job for a document from its last good checkpoint
+app.post('/api/documents/:documentId/retry', async (req, res) => {
+  try {
+    const { documentId } = req.params
+    const latest = await findLatestIngestionJob(documentId)
 
-    console.log(`   ✓ Response generated: "${formattedReply.substring(0, 50)}..."`)
+    if (!latest) {
+      return res.status(404).json({ error: 'Document not found' })
+    }
 
-    return res.json({ reply: formattedReply })
+    console.log(`🔁 Retrying ingestion job ${latest.id} for document ${documentId}`)
+    const job = await ingestionQueue.retry(latest.id)
+    return res.status(202).json(formatJobStatus(job))
   } catch (error) {
-    console.error('Chat error:', error.message)
-    return res.status(500).json({ error: 'Chat failed', detail: error.message })
+    console.error('Retry error:', error.message)
+    return res.status(error.status || 500).json({ error: 'Retry failed', detail: error.message })
   }
 })
 
-app.get('/health', (req, res) => {
-  res.json({ ok: true })
+app.get('/api/jobs/:jobId', async (req, res) => {
+  try {
+    const job = await ingestionQueue.get(req.params.jobId)
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' })
+    }
+    return res.json(formatJobStatus(job))
+  } catch (error) {
+    console.error('Job lookup error:', error.message)
+    return res.status(500).json({ error: 'Job lookup failed', detail: error.message })
+  }
 })
 
-app.get('/api/documents/:documentId/status', (req, res) => {
-  const { documentId } = req.params
-  const progress = uploadProgress.get(documentId)
-  
-  if (!progress) {
-    return res.status(404).json({ error: 'Document not found or already completed' })
-  }
-  
-  const elapsedMs = Date.now() - progress.startTime
-  const elapsedSec = elapsedMs / 1000
-  
+function formatJobStatus(job) {
+  const startTime = Date.parse(job.startedAt || job.createdAt)
+  const endTime = job.finishedAt ? Date.parse(job.finishedAt) : Date.now()
+  const elapsedSec = Math.max(0, (endTime - startTime) / 1000)
+
   // Estimate remaining time based on current progress
   let estimatedRemainingSec = 0
-  if (progress.progress > 0 && progress.progress < 100) {
-    const ratePerSec = progress.progress / elapsedSec
-    estimatedRemainingSec = (100 - progress.progress) / ratePerSec
+  if (job.status === 'running' && job.progress > 0 && job.progress < 100) {
+    const ratePerSec = job.progress / elapsedSec
+    estimatedRemainingSec = (100 - job.progress) / ratePerSec
   }
-  
-  return res.json({
-    documentId,
-    stage: progress.stage,
-    progress: progress.progress,
+
+  return {
+    jobId: job.id,
+    documentId: job.documentId,
+    mode: job.mode || 'ingest',
+    status: job.status,
+    stage: job.stage,
+    progress: job.progress,
     elapsedSeconds: Math.round(elapsedSec),
     estimatedRemainingSeconds: Math.round(estimatedRemainingSec),
-    message: progress.message || '',
-  })
-})
+    message: job.message || '',
+    error: job.error,
+    attempts: job.attempts,
+    checkpoints: job.checkpoints,
+    result: job.result,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+  }
+}
 
 app.get('/', (req, res) => {
   res.json({
     message: 'StudyOwl Backend API',
     endpoints: [
-      'POST /api/documents - Upload and process documents',
-      'POST /api/chat - Chat with document using Groq',
+      'POST /api/documents - Upload a document (PDF, DOCX, TXT, Markdown) and queue it for processing',
+      'POST /api/chat - Chat with document using the configured LLM',
+      'POST /api/chat/stream - Same as /api/chat, streamed as server-sent events',
+      'POST /api/courses/:courseId/chat - Chat across every document the student has in a course',
+      'GET /api/documents?studentId=&courseId= - List a student\'s documents',
+      'GET /api/documents/:documentId - Document details (pages, chunks, figures, status)',
+      'GET /api/documents/:documentId/outline - Table of contents with page ranges',
+      'DELETE /api/documents/:documentId - Delete a document, its blobs and chunks',
+      'GET /api/documents/:documentId/status - Latest ingestion job for a document',
+      'GET /api/documents/:documentId/events - Live ingestion progress (Server-Sent Events)',
+      'POST /api/documents/:documentId/reindex - Rebuild chunks from the stored layout JSON',
+      'POST /api/documents/:documentId/retry - Resume a failed ingestion from its last checkpoint',
+      'GET /api/jobs/:jobId - Ingestion job state',
+      'GET /api/sessions?studentId=&documentId= - List a student\'s study sessions',
+      'GET /api/sessions/:sessionId - Study session with its chat transcript',
+      'DELETE /api/sessions/:sessionId - Delete a study session',
       'GET /health - Health check',
     ],
     note: 'Access the frontend at http://localhost:5173 (or wherever Vite is running)',
   })
 })
 
-function buildChunkDocs({ pageTexts, documentId, studentId, courseId, chunkSize, overlap }) {
-  const docs = []
-  for (const page of pageTexts) {
-    const chunks = chunkText(page.text, chunkSize, overlap)
-    for (const chunk of chunks) {
-      docs.push({
-        id: chunk.id,
-        documentId,
-        studentId,
-        courseId,
-        pageNumber: page.pageNumber,
-        sectionTitle: null,
-        content: chunk.content,
-      })
+// Hybrid relevance for the candidate chunks: a BM25 ranking from each document's search index
+// and the cosine-similarity ranking of chunk embeddings against the question, combined with
+// reciprocal-rank fusion. Chunks embedded with another model (or before embeddings existed)
+// are ranked by keywords only until the document is re-indexed.
+async function rankChunks(chunks, message, indexes) {
+  const ids = new Set(chunks.map((c) => c.id))
+  const byScore = (a, b) => b[1] - a[1]
+  // Each document's index has its own IDF and average chunk length, so BM25 scores are only
+  // compared within a document and the documents' rankings are fused by rank
+  const keywordRankings = indexes.map((index) => Array.from(searchIndex(index, message, { ids }))
+    .sort(byScore)
+    .map(([id]) => id))
+
+  let semanticRanking = []
+  const embedded = chunks.filter((c) => c.embedding && c.embeddingModel === embedder.model)
+  if (embedded.length > 0) {
+    try {
+      const [queryVector] = await withRetry(() => embedder.embed([message]), { label: 'Query embedding', retries: 1 })
+      semanticRanking = embedded
+        .map((c) => [c.id, cosineSimilarity(queryVector, c.embedding)])
+        .filter(([, similarity]) => similarity > 0)
+        .sort(byScore)
+        .map(([id]) => id)
+    } catch (error) {
+      console.warn(`   ⚠️ Query embedding failed, ranking by keywords only: ${error.message}`)
     }
   }
-  return docs
+  const keywordCount = keywordRankings.reduce((sum, ranking) => sum + ranking.length, 0)
+  console.log(`   🔎 Ranked ${keywordCount} chunks by keywords, ${semanticRanking.length}/${chunks.length} by embedding`)
+
+  return reciprocalRankFusion([...keywordRankings, semanticRanking])
 }
 
-function buildContextSmart(chunks, message, maxChars = 6000, pageHint = null) {
+// Picks the context from relevance scores per chunk id (keyword-only BM25 when not given),
+// with a flat boost for figure chunks when the question is about a graph, filling maxTokens
+// with matching chunks in rank order. With `documents` (Map of documentId -> record) each
+// block is labeled with its document's file name.
+// Returns { context, chunks } where chunks are the ones that made it into the context.
+function buildContextSmart(chunks, message, maxTokens = 3000, pageHint = null, relevance = null, documents = null) {
   console.log(`\n🔍 [buildContextSmart] Called with:`)
   console.log(`   Query: "${message}"`)
   console.log(`   Total chunks: ${chunks.length}`)
@@ -624,23 +1829,21 @@ function buildContextSmart(chunks, message, maxChars = 6000, pageHint = null) {
     console.log(`   Page hint: ${pageHint} (will prioritize graph chunks from this page)`)
   }
   
-  // Extract keywords from message
-  const keywords = (message || '').toLowerCase().match(/[a-zA-Z]{4,}/g) || []
+  // Query terms after stop-word removal and stemming
+  const terms = tokenize(message)
   
   // Check if query mentions graphs/figures
   const isGraphQuery = /figure|graph|chart|diagram|plot|curve|illustration|image|visual/i.test(message)
   console.log(`   Is Graph Query: ${isGraphQuery}`)
 
-  if (keywords.length === 0) {
-    return getPagesRepresentation(chunks, [])
+  if (terms.length === 0 && !relevance?.size) {
+    return formatContext(getPagesRepresentation(chunks, []), maxTokens, documents)
   }
 
   // If this is a graph query, FORCE inclusion of graph chunks (prioritize hinted page)
   let graphChunks = []
   if (isGraphQuery) {
-    graphChunks = chunks.filter(c => 
-      /\[graph (structure|interpretation)\]|\[figure \d+\]/i.test(c.content || '')
-    )
+    graphChunks = chunks.filter(isFigureChunk)
     
     // If page hint provided, prioritize graph chunks from that page
     if (pageHint && graphChunks.length > 0) {
@@ -657,35 +1860,20 @@ function buildContextSmart(chunks, message, maxChars = 6000, pageHint = null) {
     }
   }
 
-  // Calculate TF-IDF scores for semantic relevance
+  const scores = relevance || searchIndex(buildSearchIndex(chunks), message)
   const scoredChunks = chunks.map((chunk) => {
-    const text = (chunk.content || '').toLowerCase()
-    let tfidfScore = 0
-    
-    // Massive boost for graph chunks when graphs are mentioned
-    if (isGraphQuery && /\[graph (structure|interpretation)\]|\[figure \d+\]/i.test(text)) {
-      tfidfScore += 10.0 // Very high boost to ensure graph chunks are selected
-    }
-
-    for (const kw of keywords) {
-      const regex = new RegExp(`\\b${kw}\\b`, 'g')
-      const matches = (text.match(regex) || []).length
-      const wordCount = text.split(/\s+/).length || 1
-      const tf = matches / wordCount
+    let score = scores.get(chunk.id) || 0
 
-      const chunksWithTerm = chunks.filter((c) =>
-        new RegExp(`\\b${kw}\\b`, 'i').test(c.content || ''),
-      ).length
-      const idf = Math.log((chunks.length + 1) / (chunksWithTerm + 1))
-
-      tfidfScore += tf * idf
+    // Massive boost for graph chunks when graphs are mentioned
+    if (isGraphQuery && isFigureChunk(chunk)) {
+      score += 10.0 // Very high boost to ensure graph chunks are selected
     }
 
-    return { chunk, score: tfidfScore }
+    return { chunk, score }
   })
 
-  // For graph queries: prioritize top graph chunks by relevance, not all
-  let topChunks
+  // For graph queries: the top graph chunks by relevance come first, not all of them
+  let rankedChunks
   if (isGraphQuery && graphChunks.length > 0) {
     const graphScored = scoredChunks
       .filter(x => graphChunks.includes(x.chunk))
@@ -694,48 +1882,97 @@ function buildContextSmart(chunks, message, maxChars = 6000, pageHint = null) {
     const topGraphChunks = graphScored.slice(0, TOP_GRAPH).map(x => x.chunk)
 
     const nonGraphChunks = scoredChunks
-      .filter(x => !graphChunks.includes(x.chunk))
+      .filter(x => !graphChunks.includes(x.chunk) && x.score > 0)
       .sort((a, b) => b.score - a.score)
-      .slice(0, 3)
       .map(x => x.chunk)
     
-    topChunks = [...topGraphChunks, ...nonGraphChunks]
-    console.log(`   [Graph Query] Using top ${topGraphChunks.length}/${graphChunks.length} graph chunks + ${nonGraphChunks.length} context chunks`)
+    rankedChunks = [...topGraphChunks, ...nonGraphChunks]
+    console.log(`   [Graph Query] Ranking top ${topGraphChunks.length}/${graphChunks.length} graph chunks before ${nonGraphChunks.length} context chunks`)
   } else {
-    // Regular semantic search
-    const K = 3
-    topChunks = scoredChunks
-      .sort((a, b) => b.score - a.score)
-      .slice(0, K)
+    rankedChunks = scoredChunks
       .filter((x) => x.score > 0)
+      .sort((a, b) => b.score - a.score)
       .map((x) => x.chunk)
   }
 
   console.log(
-    `   [Semantic Search] Selected ${topChunks.length} chunks (from ${chunks.length} total)${isGraphQuery ? ' [GRAPH QUERY]' : ''}`,
+    `   [Semantic Search] ${rankedChunks.length} matching chunks (from ${chunks.length} total)${isGraphQuery ? ' [GRAPH QUERY]' : ''}`,
   )
 
-  if (topChunks.length > 0) {
-    const parts = []
-    let remaining = maxChars
-    for (const c of topChunks) {
-      const text = c.content || ''
-      if (!text) continue
-      const block = `[Page ${c.pageNumber ?? '?'}] ${text}`
-      const needed = block.length + 2
-      if (needed > remaining) {
-        console.log(`   [Warning] Chunk from page ${c.pageNumber} would exceed ${maxChars} char limit, truncating context`)
-        break
-      }
-      parts.push(block)
-      remaining -= needed
-    }
-    console.log(`   [Context] Final: ${parts.join("\n\n").length} chars from ${parts.length} chunks`)
-    return parts.join("\n\n")
+  if (rankedChunks.length > 0) {
+    return formatContext(rankedChunks, maxTokens, documents)
   }
 
   console.log(`   [Semantic Search] No matches, falling back to page summary`)
-  return getPagesRepresentation(chunks, scoredChunks)
+  return formatContext(getPagesRepresentation(chunks, scoredChunks), maxTokens, documents)
+}
+
+// Adds labeled chunks in order while they fit in maxTokens. A chunk too big for what's left
+// is skipped, so a smaller one further down can still use the space.
+function formatContext(chunks, maxTokens, documents = null) {
+  const parts = []
+  const used = []
+  let remaining = maxTokens
+  let skipped = 0
+  for (const c of chunks) {
+    const text = c.content || ''
+    if (!text) continue
+    const block = `${chunkLabel(c, documents?.get(c.documentId))} ${text}`
+    const needed = estimateTokens(block) + 1
+    if (needed > remaining) {
+      skipped++
+      continue
+    }
+    parts.push(block)
+    used.push(c)
+    remaining -= needed
+  }
+  if (skipped > 0) {
+    console.log(`   [Context] ${skipped} ranked chunks did not fit in ${maxTokens} tokens`)
+  }
+  console.log(`   [Context] Final: ~${maxTokens - remaining} tokens from ${parts.length} chunks`)
+  return { context: parts.join("\n\n"), chunks: used }
+}
+
+// Where a chunk sits: "page 4", "slide 4" for decks, or "14:00-15:00" for transcript segments
+function chunkLocation(chunk, format = null) {
+  if (chunk.startTime != null) {
+    return `${formatTimestamp(chunk.startTime)}-${formatTimestamp(chunk.endTime ?? chunk.startTime)}`
+  }
+  return `${format === 'pptx' ? 'slide' : 'page'} ${chunk.pageNumber ?? '?'}`
+}
+
+// Transcript chunks are labeled with their time window instead of a page number. Given the
+// chunk's document, the label names it too ("[Lecture 3.pdf, page 4]", "[Week 2.pptx, slide 5]")
+function chunkLabel(chunk, document = null) {
+  if (document) return `[${document.fileName}, ${chunkLocation(chunk, document.format)}]`
+  return chunk.startTime != null ? `[${chunkLocation(chunk)}]` : `[Page ${chunk.pageNumber ?? '?'}]`
+}
+
+// Citation for a chunk used in an answer, with a short plain-text snippet
+function toSource(chunk, document) {
+  const plain = (chunk.content || '')
+    .replace(/^\[(?:END )?[A-Z][A-Z ]*(?: \d+)?\]$/gm, '')
+    .replace(/^#{1,6}\s+/gm, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+  const snippet = plain.length > 200 ? `${plain.substring(0, 200).replace(/\s+\S*$/, '')}…` : plain
+  return {
+    chunkId: chunk.id,
+    documentId: chunk.documentId,
+    fileName: document?.fileName ?? null,
+    pageNumber: chunk.pageNumber ?? null,
+    location: chunkLocation(chunk, document?.format),
+    sectionTitle: chunk.sectionTitle || null,
+    chunkType: chunkTypeOf(chunk),
+    ...(chunk.figureIndex != null && { figureIndex: chunk.figureIndex }),
+    ...(chunk.tableIndex != null && { tableIndex: chunk.tableIndex }),
+    ...(chunk.caption && { caption: chunk.caption }),
+    snippet,
+    startOffset: chunk.startOffset ?? null,
+    endOffset: chunk.endOffset ?? null,
+    ...(chunk.startTime != null && { startTime: chunk.startTime, endTime: chunk.endTime }),
+  }
 }
 
 function getPagesRepresentation(chunks, scoredChunks) {
@@ -753,7 +1990,7 @@ function getPagesRepresentation(chunks, scoredChunks) {
     const list = byPage.get(p) || []
     const scored = list.map((c) => ({
       c,
-      s: scoredChunks.find((x) => x.c === c)?.s || 0,
+      s: scoredChunks.find((x) => x.chunk === c)?.score || 0,
     }))
     scored.sort((a, b) => b.s - a.s || (b.c.content || '').length - (a.c.content || '').length)
     if (scored[0]) selected.push(scored[0].c)
@@ -836,20 +2073,26 @@ function formatResponse(text) {
 
 function extractPageTexts(result) {
   const pages = result.pages || [];
+  const headings = detectPdfHeadings(pages)
 
   return pages.map((page) => {
     //
-    // 1. Extract normal text from lines
+    // 1. Extract normal text from lines (detected headings get Markdown markers)
     //
     const allLines = page.lines || []
+    const pageHeadings = headings.get(page.pageNumber)
     const lineText = allLines
-      .map((line) => line.content)
+      .map((line, lineIndex) => {
+        const level = pageHeadings?.get(lineIndex)
+        return level ? `${'#'.repeat(level)} ${line.content.trim()}` : line.content
+      })
       .join("\n");
 
     //
     // 2. Extract tables (flattened into readable text)
     //
-    const tableText = (page.tables || [])
+    const tables = page.tables || []
+    const tableText = tables
       .map((table, tIndex) => {
         const rows = [];
 
@@ -868,6 +2111,15 @@ function extractPageTexts(result) {
       })
       .join("\n");
 
+    // Tables without a detected caption take the page's "Table N" lines, when there is one per table
+    const tableCaptionLines = allLines.map((line) => line.content.trim()).filter((content) => /^table\s+\d+/i.test(content))
+    const tableMetadata = tables.map((table, tIndex) => ({
+      caption: table.caption || (tableCaptionLines.length === tables.length ? tableCaptionLines[tIndex] : null),
+      rowCount: table.rowCount,
+      columnCount: table.columnCount,
+      boundingRegions: pageRegions(table.boundingRegions, page.pageNumber),
+    }))
+
     //
     // 3. Extract figures with graph analysis metadata
     //
@@ -900,7 +2152,8 @@ function extractPageTexts(result) {
         caption,
         extractedText: graphElements.join(', '),
         missingElements: missingElements.join(', ') || 'none identified',
-        needsContextInference: missingElements.length > 0
+        needsContextInference: missingElements.length > 0,
+        boundingRegions: pageRegions(fig.boundingRegions, page.pageNumber),
       }
       
       return {
@@ -937,7 +2190,8 @@ function extractPageTexts(result) {
             caption: "Implied graph detected from context",
             extractedText: graphElements.join(', '),
             missingElements: 'axis labels, legend, title',
-            needsContextInference: true
+            needsContextInference: true,
+            boundingRegions: [],
           },
           figureIndex: 0
         }
@@ -957,12 +2211,27 @@ function extractPageTexts(result) {
     return {
       pageNumber: page.pageNumber,
       text: fullText,
-      figureMetadata: figureTextParts.map(f => f.metadata)
+      figureMetadata: figureTextParts.map(f => f.metadata),
+      tableMetadata,
     };
   });
 }
 
-// Graph template library for common academic graph types
+// Layout regions renumbered to the page's absolute number: analysis runs on sub-PDFs, so
+// Document Intelligence numbers pages within the batch
+function pageRegions(boundingRegions, pageNumber) {
+  if (!boundingRegions?.length) return []
+  const first = boundingRegions[0].pageNumber
+  return boundingRegions.map((region) => ({
+    pageNumber: pageNumber + region.pageNumber - first,
+    polygon: region.polygon,
+  }))
+}
+
+// Graph template library for common academic graph types.
+// Bump GRAPH_TEMPLATE_VERSION when templates change; documents record the version they were
+// indexed with, so stale ones can be re-indexed with POST /api/documents/:documentId/reindex
+const GRAPH_TEMPLATE_VERSION = 1
 const GRAPH_TEMPLATES = {
   economics: {
     'labor-market-monopsony': {
@@ -1196,6 +2465,9 @@ function classifyGraphType(surroundingText, visibleElements) {
   return bestMatch
 }
 
+// Returns { interpretation, graphTemplate }: the [GRAPH STRUCTURE] block and how it was made,
+// { method: 'template', domain, name, matchScore } or { method: 'llm', subject }
+// (graphTemplate is null when the LLM call failed)
 async function scaffoldGraphPrompt(graphMetadata, surroundingText) {
   // Classify graph type using template library
   const classification = classifyGraphType(surroundingText, graphMetadata.extractedText)
@@ -1209,7 +2481,7 @@ async function scaffoldGraphPrompt(graphMetadata, surroundingText) {
       `- **Curve ${idx + 1}: ${c.name}** (${c.slope})\n  ${c.meaning}`
     ).join('\n')
     
-    return `[GRAPH STRUCTURE]
+    const interpretation = `[GRAPH STRUCTURE]
 **Graph Type:** ${classification.templateName.replace(/-/g, ' ')} (${classification.domain})
 
 **Axes:**
@@ -1225,6 +2497,10 @@ ${curveDescriptions}
 
 **Note:** This interpretation is based on standard ${classification.domain} graph conventions and the surrounding context discussing ${template.keywords.slice(0, 3).join(', ')}.
 [END GRAPH STRUCTURE]`
+    return {
+      interpretation,
+      graphTemplate: { method: 'template', domain: classification.domain, name: classification.templateName, matchScore: classification.matchScore },
+    }
   }
   
   // Fallback to LLM-based inference if no template matches
@@ -1294,34 +2570,38 @@ FORMAT YOUR RESPONSE AS:
 CRITICAL: If you cannot infer something with confidence, state "Cannot determine from context" rather than guessing.`
 
   try {
-    const completion = await groq.chat.completions.create({
+    const completion = await withRetry(() => llm.complete({
       messages: [{ role: 'user', content: prompt }],
-      model: GROQ_MODEL,
       temperature: 0.1, // Lower temp for more factual responses
-      max_tokens: 500,
-    })
+      maxTokens: 500,
+    }), { label: 'Graph scaffolding' })
+    logUsage('Graph scaffolding', completion)
 
-    const scaffolding = completion.choices[0]?.message?.content || ''
+    const scaffolding = completion.content || ''
     
     // Wrap with semantic markers and fallback clause
-    return `[GRAPH STRUCTURE]
+    const interpretation = `[GRAPH STRUCTURE]
 ${scaffolding}
 
 [FALLBACK NOTICE]: The above interpretation is based on surrounding context. If asked about specific visual elements not described above, respond: "I can see the general structure but cannot identify that specific element from the available information."
 [END GRAPH STRUCTURE]`
+    return { interpretation, graphTemplate: { method: 'llm', subject: subjectHint } }
     
   } catch (error) {
     console.error('         ✗ Scaffolding failed:', error.message)
-    return `[GRAPH STRUCTURE]
+    const interpretation = `[GRAPH STRUCTURE]
 **Graph Type:** Cannot be determined
 **Note:** Automatic graph structure analysis failed. Refer to surrounding context.
 [END GRAPH STRUCTURE]`
+    return { interpretation, graphTemplate: null }
   }
 }
 
-async function enrichGraphDescriptions(pageTexts) {
+async function enrichGraphDescriptions(pageTexts, { onFigure } = {}) {
   console.log('   🔍 Analyzing graphs for context enrichment...')
   let enrichmentCount = 0
+  let figuresProcessed = 0
+  const totalFigures = pageTexts.reduce((sum, page) => sum + (page.figureMetadata?.length || 0), 0)
   
   for (const page of pageTexts) {
     if (!page.figureMetadata || page.figureMetadata.length === 0) continue
@@ -1334,7 +2614,8 @@ async function enrichGraphDescriptions(pageTexts) {
       
       try {
         // Use scaffolded prompt for detailed graph structure
-        const scaffoldedInterpretation = await scaffoldGraphPrompt(figMeta, page.text)
+        const { interpretation: scaffoldedInterpretation, graphTemplate } = await scaffoldGraphPrompt(figMeta, page.text)
+        figMeta.graphTemplate = graphTemplate
         
         if (scaffoldedInterpretation) {
           // Append interpretation after the figure
@@ -1346,8 +2627,26 @@ async function enrichGraphDescriptions(pageTexts) {
           const preview = scaffoldedInterpretation.match(/\*\*Graph Type:\*\* ([^\n]+)/)?.[1] || 'analysis complete'
           console.log(`            Preview: ${preview}`)
         }
+        figuresProcessed++
+        onFigure?.({
+          pageNumber: page.pageNumber,
+          figureIndex: figIndex + 1,
+          enriched: Boolean(scaffoldedInterpretation),
+          graphType: scaffoldedInterpretation?.match(/\*\*Graph Type:\*\* ([^\n]+)/)?.[1] || null,
+          figuresProcessed,
+          totalFigures,
+        })
       } catch (error) {
         console.error(`         ✗ Failed to enrich figure ${figIndex + 1}:`, error.message)
+        figuresProcessed++
+        onFigure?.({
+          pageNumber: page.pageNumber,
+          figureIndex: figIndex + 1,
+          enriched: false,
+          error: error.message,
+          figuresProcessed,
+          totalFigures,
+        })
       }
     }
   }
@@ -1357,34 +2656,4 @@ async function enrichGraphDescriptions(pageTexts) {
 }
 
 
-function buildBlobSasUrl({ containerName, blobName, blobCredential, accountName, expiresInMinutes }) {
-  try {
-    const sas = generateBlobSASQueryParameters(
-      {
-        containerName,
-        blobName,
-        permissions: BlobSASPermissions.parse('r'),
-        expiresOn: new Date(Date.now() + expiresInMinutes * 60 * 1000),
-      },
-      blobCredential,
-    ).toString()
-    const url = `https://${accountName}.blob.core.windows.net/${containerName}/${blobName}?${sas}`
-    console.log('   SAS URL created:', url.substring(0, 100) + '...')
-    return url
-  } catch (error) {
-    console.error('   Error generating SAS URL:', error.message)
-    // Fallback to unsigned URL if SAS fails
-    return `https://${accountName}.blob.core.windows.net/${containerName}/${blobName}`
-  }
-}
-
-function parseAccountInfo(connectionString) {
-  const accountNameMatch = connectionString.match(/AccountName=([^;]+)/)
-  const accountKeyMatch = connectionString.match(/AccountKey=([^;]+)/)
-  if (!accountNameMatch || !accountKeyMatch) {
-    throw new Error('Could not parse storage account name/key from connection string')
-  }
-  return { accountName: accountNameMatch[1], accountKey: accountKeyMatch[1] }
-}
-
 export default app
@@ -0,0 +1,173 @@
+import { EventEmitter } from 'node:events'
+import { v4 as uuidv4 } from 'uuid'
+
+// Background job queue with state persisted in a storage record collection.
+//
+// A job record looks like:
+//   { id, type, status: 'queued' | 'running' | 'completed' | 'failed', stage, progress, message,
+//     error, result, attempts, checkpoints, createdAt, updatedAt, startedAt, finishedAt, ...payload }
+//
+// The handler receives the job and an update(patch) function that persists stage/progress/message
+// changes; whatever it returns is stored as job.result. Handlers keep resumable state in
+// job.checkpoints, which survives failures, restarts and retry().
+//
+// Every persisted change is also published to in-process subscribers as { type, job, data }:
+//   'progress' on each update, 'stage' when the stage changes, 'completed' / 'failed' at the end,
+//   plus any handler-specific events sent through the handler's third argument, publish(type, data).
+
+export function createJobQueue({ store, type, handler, concurrency = 1, completedMessage = 'Done' }) {
+  const pending = [] // job ids waiting for a free worker
+  let active = 0
+  const events = new EventEmitter()
+  events.setMaxListeners(0) // one listener per open progress stream
+
+  function publish(job, eventType, data = null) {
+    events.emit('event', { type: eventType, job, data })
+  }
+
+  async function updateJob(id, patch) {
+    const current = await store.get(id)
+    if (!current) throw new Error(`Job ${id} not found`)
+    const next = { ...current, ...patch, updatedAt: new Date().toISOString() }
+    await store.put(next)
+    if (next.stage !== current.stage) {
+      publish(next, 'stage', { from: current.stage, to: next.stage })
+    }
+    publish(next, 'progress')
+    return next
+  }
+
+  async function runJob(id) {
+    const queued = await store.get(id)
+    let job = await updateJob(id, {
+      status: 'running',
+      attempts: (queued?.attempts || 0) + 1,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      error: null,
+    })
+    console.log(`⚙️  Job ${id} (${type}) started`)
+
+    try {
+      const result = await handler(job, async (patch) => {
+        job = await updateJob(id, patch)
+        return job
+      }, (eventType, data) => publish(job, eventType, data))
+      job = await updateJob(id, {
+        status: 'completed',
+        stage: 'complete',
+        progress: 100,
+        message: completedMessage,
+        result: result ?? null,
+        finishedAt: new Date().toISOString(),
+      })
+      console.log(`✅ Job ${id} (${type}) completed`)
+      publish(job, 'completed', job.result)
+    } catch (error) {
+      console.error(`❌ Job ${id} (${type}) failed:`, error.message)
+      const failure = { message: error.message, stage: job.stage }
+      try {
+        job = await updateJob(id, { status: 'failed', error: failure, finishedAt: new Date().toISOString() })
+      } catch (updateError) {
+        console.error(`   Could not record failure for job ${id}:`, updateError.message)
+      }
+      publish(job, 'failed', failure)
+    }
+  }
+
+  function drain() {
+    while (active < concurrency && pending.length > 0) {
+      const id = pending.shift()
+      active++
+      runJob(id)
+        .catch((error) => console.error(`❌ Job ${id} crashed:`, error.message))
+        .finally(() => {
+          active--
+          drain()
+        })
+    }
+  }
+
+  return {
+    async submit(payload) {
+      const now = new Date().toISOString()
+      const job = {
+        id: uuidv4(),
+        type,
+        status: 'queued',
+        stage: 'queued',
+        progress: 0,
+        message: 'Waiting for a worker...',
+        error: null,
+        result: null,
+        attempts: 0,
+        checkpoints: {},
+        createdAt: now,
+        updatedAt: now,
+        startedAt: null,
+        finishedAt: null,
+        ...payload,
+      }
+      await store.put(job)
+      pending.push(job.id)
+      drain()
+      return job
+    },
+
+    get(id) {
+      return store.get(id)
+    },
+
+    // Re-queue a failed job; the handler picks up from job.checkpoints. The status check and the
+    // switch to 'queued' are one atomic update, so concurrent retries queue the job only once
+    async retry(id) {
+      const next = await store.update(id, (job) => {
+        if (!job) throw Object.assign(new Error(`Job ${id} not found`), { status: 404 })
+        if (job.status !== 'failed') {
+          throw Object.assign(new Error(`Only failed jobs can be retried (job is ${job.status})`), { status: 409 })
+        }
+        return {
+          ...job,
+          status: 'queued',
+          message: 'Retrying from last checkpoint...',
+          error: null,
+          updatedAt: new Date().toISOString(),
+        }
+      })
+      publish(next, 'progress')
+      pending.push(id)
+      drain()
+      return next
+    },
+
+    find(filter) {
+      return store.find({ type, ...filter })
+    },
+
+    // Listen to job events; returns an unsubscribe function
+    subscribe(listener) {
+      events.on('event', listener)
+      return () => events.off('event', listener)
+    },
+
+    // Re-queue jobs that were queued or mid-run when the process last stopped
+    async resumePending() {
+      const interrupted = [
+        ...(await store.find({ type, status: 'queued' })),
+        ...(await store.find({ type, status: 'running' })),
+      ].sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+
+      for (const job of interrupted) {
+        if (job.status === 'running') {
+          await updateJob(job.id, { status: 'queued', message: 'Resuming after restart...' })
+        }
+        pending.push(job.id)
+      }
+      if (interrupted.length > 0) {
+        console.log(`⚙️  Resuming ${interrupted.length} ${type} job(s)`)
+      }
+      drain()
+      return interrupted.length
+    },
+  }
+}
@@ -0,0 +1,262 @@
+import fs from 'node:fs'
+import Groq from 'groq-sdk'
+
+// LLM providers share one call shape so chat and graph scaffolding never depend on an SDK:
+//
+//   llm.complete({ messages, temperature, maxTokens, onToken, signal }) ->
+//     { content, model, usage: { promptTokens, completionTokens, totalTokens } }
+//
+// With onToken the provider streams: each piece of text is passed to onToken(text) as it
+// arrives, and the call still resolves with the whole completion. Aborting `signal` stops the
+// generation and rejects the call.
+//
+// - groq:   Groq cloud via groq-sdk
+// - openai: any OpenAI-compatible /chat/completions endpoint (llama.cpp server, Ollama, vLLM, ...)
+// - mock:   deterministic canned responses for offline runs and end-to-end checks
+
+export const LLM_PROVIDERS = ['groq', 'openai', 'mock']
+
+export function createLlmProvider(config) {
+  if (config.provider === 'groq') return createGroqProvider(config)
+  if (config.provider === 'openai') return createOpenAiCompatibleProvider(config)
+  if (config.provider === 'mock') return createMockProvider(config)
+  throw new Error(`Unknown LLM provider "${config.provider}" (expected one of: ${LLM_PROVIDERS.join(', ')})`)
+}
+
+function normalizeUsage(usage) {
+  const promptTokens = usage?.prompt_tokens ?? 0
+  const completionTokens = usage?.completion_tokens ?? 0
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: usage?.total_tokens ?? promptTokens + completionTokens,
+  }
+}
+
+export function logUsage(label, result) {
+  const { promptTokens, completionTokens, totalTokens } = result.usage
+  console.log(`   🔢 ${label} tokens (${result.model}): prompt=${promptTokens} completion=${completionTokens} total=${totalTokens}`)
+}
+
+//
+// Groq
+//
+function createGroqProvider({ apiKey, model }) {
+  if (!apiKey) {
+    throw new Error('Missing GROQ_API_KEY env var')
+  }
+  const groq = new Groq({ apiKey })
+
+  return {
+    name: 'groq',
+    model,
+    async complete({ messages, temperature = 0.2, maxTokens = 1024, onToken, signal }) {
+      const params = { messages, model, temperature, max_tokens: maxTokens }
+      if (!onToken) {
+        const completion = await groq.chat.completions.create(params, { signal })
+        return {
+          content: completion.choices[0]?.message?.content || '',
+          model: completion.model || model,
+          usage: normalizeUsage(completion.usage),
+        }
+      }
+
+      const stream = await groq.chat.completions.create({ ...params, stream: true }, { signal })
+      let content = ''
+      let streamModel = model
+      let usage = null
+      for await (const chunk of stream) {
+        const text = chunk.choices[0]?.delta?.content
+        if (text) {
+          content += text
+          onToken(text)
+        }
+        streamModel = chunk.model || streamModel
+        // Groq reports usage on the final chunk
+        usage = chunk.x_groq?.usage || chunk.usage || usage
+      }
+      return { content, model: streamModel, usage: normalizeUsage(usage) }
+    },
+  }
+}
+
+//
+// OpenAI-compatible HTTP endpoint
+//
+function isLocalUrl(url) {
+  try {
+    return ['localhost', '127.0.0.1', '[::1]', '::1'].includes(new URL(url).hostname)
+  } catch {
+    return false
+  }
+}
+
+function createOpenAiCompatibleProvider({ baseUrl, apiKey, model }) {
+  if (!baseUrl) {
+    throw new Error('Missing OPENAI_BASE_URL env var')
+  }
+  // Servers on this machine (Ollama, llama.cpp) take no key; hosted endpoints do
+  if (!apiKey && !isLocalUrl(baseUrl)) {
+    throw new Error(`Missing OPENAI_API_KEY env var (required for ${baseUrl})`)
+  }
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`
+
+  return {
+    name: 'openai',
+    model,
+    async complete({ messages, temperature = 0.2, maxTokens = 1024, onToken, signal }) {
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+        },
+        body: JSON.stringify({
+          model,
+          messages,
+          temperature,
+          max_tokens: maxTokens,
+          ...(onToken && { stream: true, stream_options: { include_usage: true } }),
+        }),
+        signal,
+      })
+
+      if (!response.ok) {
+        const detail = await response.text().catch(() => '')
+        throw new Error(`LLM request failed (${response.status}): ${detail.substring(0, 200)}`)
+      }
+
+      if (onToken) return readCompletionStream(response, { model, onToken })
+
+      const completion = await response.json()
+      return {
+        content: completion.choices?.[0]?.message?.content || '',
+        model: completion.model || model,
+        usage: normalizeUsage(completion.usage),
+      }
+    },
+  }
+}
+
+// Server-sent events from a streaming /chat/completions response: "data: {chunk}" lines
+// ending with "data: [DONE]". Servers that honour include_usage send usage on the last chunk.
+async function readCompletionStream(response, { model, onToken }) {
+  const decoder = new TextDecoder()
+  let buffer = ''
+  let content = ''
+  let streamModel = model
+  let usage = null
+
+  const handleLine = (line) => {
+    const data = line.startsWith('data:') ? line.slice(5).trim() : null
+    if (!data || data === '[DONE]') return
+    const chunk = JSON.parse(data)
+    const text = chunk.choices?.[0]?.delta?.content
+    if (text) {
+      content += text
+      onToken(text)
+    }
+    streamModel = chunk.model || streamModel
+    usage = chunk.usage || usage
+  }
+
+  for await (const bytes of response.body) {
+    buffer += decoder.decode(bytes, { stream: true })
+    const lines = buffer.split(/\r?\n/)
+    buffer = lines.pop()
+    lines.forEach(handleLine)
+  }
+  handleLine(buffer)
+  return { content, model: streamModel, usage: normalizeUsage(usage) }
+}
+
+//
+// Mock: rules are tried in order, first regex that matches the last message wins.
+// MOCK_LLM_RESPONSES may point at a JSON file of [{ "match": "regex", "response": "text" }].
+//
+const DEFAULT_MOCK_RULES = [
+  {
+    // Follow-up rewrite: glue the follow-up onto the student's previous question
+    match: /Standalone question:$/,
+    response: (prompt) => {
+      const previous = prompt.match(/^Student: (.+)$/gm)?.pop()?.slice('Student: '.length) || ''
+      const followUp = prompt.match(/^Follow-up question: (.+)$/m)?.[1] || ''
+      return `${followUp} (following up on: ${previous})`
+    },
+  },
+  {
+    match: /Summary:$/,
+    response: (prompt) => {
+      const questions = (prompt.match(/^Student: (.+)$/gm) || []).map((line) => line.slice('Student: '.length))
+      return `The student asked about: ${questions.join('; ')}`
+    },
+  },
+  {
+    match: /GRAPH ELEMENTS DETECTED/,
+    response: `**Graph Type:** Cannot determine from context (mock provider)
+**X-Axis:** Cannot determine from context
+**Y-Axis:** Cannot determine from context
+**Curves:**
+- Cannot determine from context
+**Key Insight:** Mock interpretation generated offline.
+**Specific Elements:** None`,
+  },
+  {
+    match: /Context from (?:course )?documents?:/,
+    response: (prompt) => {
+      const context = prompt.split(/Context from (?:course )?documents?:/)[1]?.split('Student question:')[0]?.trim() || ''
+      const firstLine = context.split('\n').find((line) => line.trim()) || 'No context was retrieved.'
+      return `**Mock answer** based on the retrieved context:\n\n- ${firstLine.substring(0, 200)}`
+    },
+  },
+]
+
+function loadMockRules(responsesFile) {
+  if (!responsesFile) return DEFAULT_MOCK_RULES
+  const scripted = JSON.parse(fs.readFileSync(responsesFile, 'utf8'))
+  return [
+    ...scripted.map((rule) => ({ match: new RegExp(rule.match, 'i'), response: rule.response })),
+    ...DEFAULT_MOCK_RULES,
+  ]
+}
+
+// Rough token estimate (~4 chars per token) so usage looks like a real provider's
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4)
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+function createMockProvider({ responsesFile, model = 'mock', streamDelayMs = 20 }) {
+  const rules = loadMockRules(responsesFile)
+  console.log(`⚠️ Using mock LLM provider${responsesFile ? ` (${responsesFile})` : ''}`)
+
+  return {
+    name: 'mock',
+    model,
+    async complete({ messages, onToken, signal }) {
+      const prompt = messages[messages.length - 1]?.content || ''
+      const rule = rules.find((r) => r.match.test(prompt))
+      const content = rule
+        ? (typeof rule.response === 'function' ? rule.response(prompt) : rule.response)
+        : 'Mock response.'
+
+      // Stream word by word, paced like a real model so cancellation can be tried out
+      if (onToken) {
+        for (const piece of content.match(/\S+\s*|\s+/g) || []) {
+          signal?.throwIfAborted()
+          onToken(piece)
+          await sleep(streamDelayMs)
+        }
+      }
+
+      const promptTokens = messages.reduce((sum, m) => sum + estimateTokens(m.content), 0)
+      const completionTokens = estimateTokens(content)
+      return {
+        content,
+        model,
+        usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens },
+      }
+    },
+  }
+}
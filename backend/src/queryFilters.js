@@ -0,0 +1,233 @@
+import { formatTimestamp } from './documentFormats.js'
+import { findOutlineSection, parseSectionNumber } from './sections.js'
+
+// Query understanding for document chat. parseQueryFilters() reads the places a question points
+// at; applyQueryFilters() resolves them against the document's chunks into the candidates that
+// retrieval ranks, and describes every filter it applied so the answer can show them:
+//
+//   { type: 'pages', start, end, label }                    "pages 4-6", "p. 12", "slide 3", "the last page"
+//   { type: 'section', number, title, label }               "section 3.1", "chapter 4"
+//   { type: 'time', seconds, label }                        "around minute 20", "at 14:32" (transcripts)
+//   { type: 'figure' | 'table', number, pageNumber, label } "Figure 2", "Table 1 on page 9"
+//
+// Slides are stored as pages, so "slide 3" and "page 3" are the same filter. Figure and table
+// chunks carry their figureIndex / tableIndex (numbered per page: 1 is the page's first figure)
+// and caption, so "Figure 2" means the second figure on the page when a page is given, and
+// otherwise the figure captioned "Figure 2", or failing that the document's second figure.
+
+const PAGE_RANGE = /\b(?:pages?|slides?|pp?\.)\s*(\d{1,4})\s*(?:-|–|—|to|through|thru)\s*(\d{1,4})\b/i
+const SINGLE_PAGE = /\b(?:pages?|slides?)\s+(\d{1,4})\b|\bpp?\.\s*(\d{1,4})\b/i
+const EDGE_PAGE = /\b(first|last|final)\s+(page|slide)\b/i
+const SECTION = /(?:\b(?:section|chapter)\s+|§\s*)(\d{1,2}(?:\.\d{1,2})*)\b/i
+const FIGURE = /\b(?:figure|fig\.?)\s*(\d{1,3})\b/i
+const TABLE = /\btable\s+(\d{1,3})\b/i
+
+const BLOCKS = {
+  figure: { field: 'figureIndex', marker: 'FIGURE', caption: (n) => new RegExp(`\\bfig(?:ure)?\\.?\\s*${n}\\b`, 'i') },
+  table: { field: 'tableIndex', marker: 'TABLE', caption: (n) => new RegExp(`\\btable\\s+${n}\\b`, 'i') },
+}
+
+export function parseQueryFilters(message, { transcript = false } = {}) {
+  const range = message.match(PAGE_RANGE)
+  const single = !range && message.match(SINGLE_PAGE)
+  const edge = !range && !single && message.match(EDGE_PAGE)
+
+  let pages = null
+  if (range) {
+    const [a, b] = [Number(range[1]), Number(range[2])]
+    pages = { start: Math.min(a, b), end: Math.max(a, b) }
+  } else if (single) {
+    const page = Number(single[1] ?? single[2])
+    pages = { start: page, end: page }
+  }
+  if (pages?.start < 1) pages = null
+
+  const number = (pattern) => {
+    const value = Number(message.match(pattern)?.[1])
+    return value >= 1 ? value : null
+  }
+
+  return {
+    pages,
+    edgePage: edge ? (edge[1].toLowerCase() === 'first' ? 'first' : 'last') : null,
+    unit: /slide/i.test((range || single || edge)?.[0] || '') ? 'slide' : 'page',
+    section: message.match(SECTION)?.[1] ?? null,
+    figure: number(FIGURE),
+    table: number(TABLE),
+    time: transcript && !pages && !edge ? parseTimeHint(message) : null,
+  }
+}
+
+// Returns { chunks, pageHint, focusChunkIds, applied }: the candidate chunks, the page whose
+// graphs come first, the figure/table chunks the question is about (ranked first), and the
+// filters that matched something. A filter that would leave no chunks is dropped. The client's
+// pageNumber (the page on screen) takes the place of pages named in the message.
+export function applyQueryFilters(chunks, filters, { document = null, pageNumber = null } = {}) {
+  const applied = []
+  const focusChunkIds = new Set()
+  const unit = document?.format === 'pptx' ? 'slide' : filters.unit
+  let candidates = chunks
+  let pageHint = null
+  let narrowed = false
+  let requestedPages = null
+
+  const inPages = (start, end) => chunks.filter((c) => c.pageNumber >= start && c.pageNumber <= end)
+
+  // Sections: the chunks under the section (sub-sections included); chunks indexed without
+  // section paths fall back to the outline's page range
+  if (filters.section && !pageNumber) {
+    const number = filters.section
+    const inSection = (title) => {
+      const titleNumber = parseSectionNumber(title)?.number
+      return titleNumber === number || Boolean(titleNumber?.startsWith(`${number}.`))
+    }
+    // A chunk belongs to the sections on its path and to any that start inside it
+    const sectionChunks = chunks.filter((c) => [
+      ...(c.sectionPath || []),
+      ...Array.from((c.content || '').matchAll(/^#{1,6}\s+(.+)$/gm), (match) => match[1]),
+    ].some(inSection))
+    const outlineEntry = findOutlineSection(document?.outline, number)
+    const heading = outlineEntry?.title
+      || sectionChunks.flatMap((c) => c.sectionPath || []).find((t) => parseSectionNumber(t)?.number === number)
+    // "3.1 Monopsony" -> "Monopsony"
+    const title = heading?.replace(/^(?:[a-z]+\s+)?[\d.]+[.):]?\s*(?:[-–—]\s*)?/i, '') || null
+
+    const matched = sectionChunks.length > 0
+      ? sectionChunks
+      : outlineEntry ? inPages(outlineEntry.pageStart, outlineEntry.pageEnd) : []
+    if (matched.length > 0) {
+      candidates = matched
+      narrowed = true
+      applied.push({ type: 'section', number, title, label: title ? `section ${number} (${title})` : `section ${number}` })
+    }
+  }
+
+  // Pages: a single page brings its neighbours along (text and figures often run across the
+  // break); a range is taken as given
+  if (!narrowed) {
+    let pages = pageNumber ? { start: pageNumber, end: pageNumber } : filters.pages
+    let label = null
+    if (!pages && filters.edgePage) {
+      const pageNumbers = chunks.map((c) => c.pageNumber).filter(Number.isFinite)
+      const page = filters.edgePage === 'first'
+        ? Math.min(...pageNumbers)
+        : document?.pageCount || Math.max(...pageNumbers)
+      if (Number.isFinite(page)) {
+        pages = { start: page, end: page }
+        label = `${filters.edgePage} ${unit} (${page})`
+      }
+    }
+
+    if (pages) {
+      const single = pages.start === pages.end
+      const matched = single ? inPages(Math.max(1, pages.start - 1), pages.end + 1) : inPages(pages.start, pages.end)
+      if (matched.length > 0) {
+        candidates = matched
+        narrowed = true
+        pageHint = pages.start
+        requestedPages = pages
+        applied.push({
+          type: 'pages',
+          start: pages.start,
+          end: pages.end,
+          label: label || (single ? `${unit} ${pages.start}` : `${unit}s ${pages.start}-${pages.end}`),
+        })
+      }
+    }
+  }
+
+  // Transcripts: the segment covering the time, with its neighbours
+  if (!narrowed && filters.time != null) {
+    const segment = findSegmentAtTime(chunks, filters.time)
+    if (segment != null) {
+      candidates = inPages(segment - 1, segment + 1)
+      narrowed = true
+      pageHint = segment
+      applied.push({ type: 'time', seconds: filters.time, label: formatTimestamp(filters.time) })
+    }
+  }
+
+  // Figures and tables: looked up on the pages asked for, within the section or time window, or
+  // across the document (and then the candidates become the pages around them)
+  const targets = []
+  for (const kind of ['figure', 'table']) {
+    if (!filters[kind]) continue
+    const target = requestedPages
+      ? findNumberedBlock(inPages(requestedPages.start, requestedPages.end), kind, filters[kind], { perPage: true })
+      : findNumberedBlock(narrowed ? candidates : chunks, kind, filters[kind])
+    if (!target) continue
+    targets.push(target)
+    focusChunkIds.add(target.id)
+    const name = `${kind === 'figure' ? 'Figure' : 'Table'} ${filters[kind]}`
+    applied.push({ type: kind, number: filters[kind], pageNumber: target.pageNumber, label: `${name}, ${unit} ${target.pageNumber}` })
+  }
+  if (targets.length > 0 && !narrowed) {
+    candidates = chunks.filter((c) => targets.some((t) => Math.abs(c.pageNumber - t.pageNumber) <= 1))
+    pageHint = targets[0].pageNumber
+  }
+
+  return { chunks: candidates, pageHint, focusChunkIds, applied }
+}
+
+// The chunk holding figure/table `number`: a block whose caption reads "Figure n", failing that
+// the block at position n. perPage: the pool is a page range and the position is the block's
+// place on its page; otherwise it is the n-th block in document order. Chunks indexed before
+// chunks were typed have no figureIndex / tableIndex, so their [FIGURE n] / [TABLE n] markers
+// stand in.
+function findNumberedBlock(pool, kind, number, { perPage = false } = {}) {
+  const { field, marker, caption } = BLOCKS[kind]
+  const ordered = [...pool].sort((a, b) => (a.pageNumber - b.pageNumber) || ((a.startOffset ?? 0) - (b.startOffset ?? 0)))
+  const blockPattern = new RegExp(`\\[${marker} (\\d+)\\]`, 'g')
+
+  const blocks = []
+  const addBlock = (chunk, index, text) => {
+    if (!blocks.some((b) => b.chunk.pageNumber === chunk.pageNumber && b.index === index)) {
+      blocks.push({ chunk, index, caption: text })
+    }
+  }
+  for (const chunk of ordered) {
+    if (chunk[field] != null) {
+      addBlock(chunk, chunk[field], chunk.caption || '')
+    } else if (!chunk.chunkType) {
+      for (const match of (chunk.content || '').matchAll(blockPattern)) addBlock(chunk, Number(match[1]), chunk.content)
+    }
+  }
+
+  // "Figure 2 on page 7" is usually the figure captioned "Figure 2", whatever its place on page 7
+  const captioned = blocks.find((b) => caption(number).test(b.caption))
+  if (captioned) return captioned.chunk
+  if (perPage) return blocks.find((b) => b.index === number)?.chunk || null
+  return blocks[number - 1]?.chunk || null
+}
+
+// Seconds from "at 14:32", "1:02:03", "minute 20", "around 20 minutes" or "20 minutes in"
+function parseTimeHint(message) {
+  const clock = message.match(/\b(\d{1,2}):(\d{2})(?::(\d{2}))?\b/)
+  if (clock) {
+    const [, first, second, third] = clock
+    return third != null
+      ? Number(first) * 3600 + Number(second) * 60 + Number(third)
+      : Number(first) * 60 + Number(second)
+  }
+
+  const minute = message.match(/\bminute\s+(\d{1,3})\b/i)
+    || message.match(/\b(?:at|around|about|near)\s+(?:the\s+)?(\d{1,3})(?:\s*|-)(?:minutes?|mins?)\b/i)
+    || message.match(/\b(\d{1,3})(?:\s*|-)(?:minutes?|mins?)\s+(?:in|into|mark)\b/i)
+  return minute ? Number(minute[1]) * 60 : null
+}
+
+// Page number of the segment containing the time, or the nearest one when it falls in a gap
+function findSegmentAtTime(chunks, seconds) {
+  let nearest = null
+  let nearestDistance = Infinity
+  for (const chunk of chunks) {
+    if (chunk.startTime == null) continue
+    if (seconds >= chunk.startTime && seconds <= chunk.endTime) return chunk.pageNumber
+    const distance = Math.min(Math.abs(seconds - chunk.startTime), Math.abs(seconds - chunk.endTime))
+    if (distance < nearestDistance) {
+      nearest = chunk.pageNumber
+      nearestDistance = distance
+    }
+  }
+  return nearest
+}
@@ -0,0 +1,53 @@
+// Retry helper for calls to Document Intelligence, LLM providers and Cosmos DB bulk requests.
+// Transient failures (throttling, 5xx, timeouts, dropped connections) are retried with
+// exponential backoff and jitter; anything else is thrown straight away.
+
+const TRANSIENT_STATUS_CODES = new Set([408, 425, 429, 500, 502, 503, 504])
+const TRANSIENT_ERROR_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EAI_AGAIN',
+  'EPIPE',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT',
+  'ServiceUnavailable',
+  'TooManyRequests',
+  'InternalServerError',
+])
+
+export function isTransientError(error) {
+  if (!error) return false
+  const status = error.statusCode ?? error.status ?? error.response?.status
+  if (TRANSIENT_STATUS_CODES.has(Number(status))) return true
+  if (TRANSIENT_ERROR_CODES.has(error.code) || TRANSIENT_ERROR_CODES.has(error.cause?.code)) return true
+  return /timed? ?out|socket hang up|rate limit|temporarily unavailable/i.test(error.message || '')
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+export async function withRetry(fn, {
+  label = 'operation',
+  retries = 4,
+  baseDelayMs = 1000,
+  maxDelayMs = 30000,
+  isRetryable = isTransientError,
+} = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt)
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) throw error
+
+      // Honour Retry-After when the service sends one, otherwise back off exponentially
+      const retryAfterSec = Number(error.retryAfterInSeconds ?? error.headers?.['retry-after'])
+      const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt)
+      const delay = Number.isFinite(retryAfterSec) && retryAfterSec > 0
+        ? Math.min(maxDelayMs, retryAfterSec * 1000)
+        : Math.round(backoff / 2 + Math.random() * (backoff / 2))
+
+      console.log(`      ↻ ${label} failed (${error.message}); retry ${attempt + 1}/${retries} in ${delay}ms`)
+      await sleep(delay)
+    }
+  }
+}
@@ -0,0 +1,182 @@
+// BM25 inverted index over a document's chunks. Built once when chunks are written and stored
+// as JSON next to the layout, so chat retrieval is a postings lookup instead of a scan:
+//
+//   { version, chunkCount, averageLength, lengths: { [chunkId]: termCount },
+//     postings: { [term]: [[chunkId, termFrequency], ...] } }
+//
+// Terms are lowercased, stop words are dropped and the rest are Porter-stemmed, so "hiring",
+// "hired" and "hires" all match "hire". Chat fuses the BM25 ranking with embedding similarity
+// through reciprocalRankFusion().
+
+export const SEARCH_INDEX_VERSION = 1
+const K1 = 1.2
+const B = 0.75
+
+const STOP_WORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'against', 'all', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but', 'by', 'can', 'could',
+  'did', 'do', 'does', 'doing', 'down', 'during', 'each', 'few', 'for', 'from', 'further', 'had', 'has',
+  'have', 'having', 'he', 'her', 'here', 'hers', 'herself', 'him', 'himself', 'his', 'how', 'i', 'if',
+  'in', 'into', 'is', 'it', 'its', 'itself', 'just', 'me', 'more', 'most', 'my', 'myself', 'no', 'nor',
+  'not', 'now', 'of', 'off', 'on', 'once', 'only', 'or', 'other', 'our', 'ours', 'ourselves', 'out',
+  'over', 'own', 'same', 'she', 'should', 'so', 'some', 'such', 'than', 'that', 'the', 'their',
+  'theirs', 'them', 'themselves', 'then', 'there', 'these', 'they', 'this', 'those', 'through', 'to',
+  'too', 'under', 'until', 'up', 'very', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'while',
+  'who', 'whom', 'why', 'will', 'with', 'would', 'you', 'your', 'yours', 'yourself', 'yourselves',
+  // Chat phrasing that says nothing about the content
+  'explain', 'describe', 'tell', 'please', 'mean', 'means', 'say', 'says', 'said', 'show', 'shows',
+])
+
+export function tokenize(text) {
+  const terms = []
+  for (const [word] of (text || '').toLowerCase().matchAll(/[\p{L}\p{N}]+/gu)) {
+    if (word.length < 2 && !/\d/.test(word)) continue
+    if (STOP_WORDS.has(word)) continue
+    terms.push(stem(word))
+  }
+  return terms
+}
+
+// entries: [{ id, content }]
+export function buildSearchIndex(entries) {
+  const lengths = {}
+  const postings = {}
+  let totalLength = 0
+
+  for (const { id, content } of entries) {
+    const counts = new Map()
+    const terms = tokenize(content)
+    for (const term of terms) counts.set(term, (counts.get(term) || 0) + 1)
+    for (const [term, count] of counts) {
+      if (!Object.hasOwn(postings, term)) postings[term] = []
+      postings[term].push([id, count])
+    }
+    lengths[id] = terms.length
+    totalLength += terms.length
+  }
+
+  return {
+    version: SEARCH_INDEX_VERSION,
+    chunkCount: entries.length,
+    averageLength: entries.length > 0 ? totalLength / entries.length : 0,
+    lengths,
+    postings,
+  }
+}
+
+// BM25 score per chunk id for the query terms. Collection statistics come from the whole
+// document; `ids` (a Set) restricts which chunks are scored, e.g. to a page window.
+export function searchIndex(index, query, { ids = null } = {}) {
+  const scores = new Map()
+  const { chunkCount, averageLength, lengths, postings } = index
+  for (const term of new Set(tokenize(query))) {
+    const list = Object.hasOwn(postings, term) ? postings[term] : null
+    if (!list) continue
+    const idf = Math.log(1 + (chunkCount - list.length + 0.5) / (list.length + 0.5))
+    for (const [id, tf] of list) {
+      if (ids && !ids.has(id)) continue
+      const norm = 1 - B + B * ((lengths[id] || 0) / (averageLength || 1))
+      scores.set(id, (scores.get(id) || 0) + idf * ((tf * (K1 + 1)) / (tf + K1 * norm)))
+    }
+  }
+  return scores
+}
+
+// Reciprocal-rank fusion of ranked id lists (best first): sum of 1 / (k + rank) over the
+// lists an id appears in. Only ranks matter, so BM25 and cosine scores need no calibration
+export function reciprocalRankFusion(rankings, { k = 60 } = {}) {
+  const fused = new Map()
+  for (const ranking of rankings) {
+    ranking.forEach((id, idx) => fused.set(id, (fused.get(id) || 0) + 1 / (k + idx + 1)))
+  }
+  return fused
+}
+
+//
+// Porter stemmer (M. F. Porter, 1980)
+//
+const STEP2 = [
+  ['ational', 'ate'], ['tional', 'tion'], ['enci', 'ence'], ['anci', 'ance'], ['izer', 'ize'], ['abli', 'able'],
+  ['alli', 'al'], ['entli', 'ent'], ['eli', 'e'], ['ousli', 'ous'], ['ization', 'ize'], ['ation', 'ate'],
+  ['ator', 'ate'], ['alism', 'al'], ['iveness', 'ive'], ['fulness', 'ful'], ['ousness', 'ous'], ['aliti', 'al'],
+  ['iviti', 'ive'], ['biliti', 'ble'],
+]
+const STEP3 = [['icate', 'ic'], ['ative', ''], ['alize', 'al'], ['iciti', 'ic'], ['ical', 'ic'], ['ful', ''], ['ness', '']]
+const STEP4 = ['al', 'ance', 'ence', 'er', 'ic', 'able', 'ible', 'ant', 'ement', 'ment', 'ent', 'ion', 'ou', 'ism', 'ate', 'iti', 'ous', 'ive', 'ize']
+
+const isConsonant = (word, i) => {
+  const c = word[i]
+  if ('aeiou'.includes(c)) return false
+  return c === 'y' ? i === 0 || !isConsonant(word, i - 1) : true
+}
+
+// Number of vowel-consonant sequences in the stem
+const measure = (stem) => {
+  let m = 0
+  let i = 0
+  while (i < stem.length && isConsonant(stem, i)) i++
+  while (i < stem.length) {
+    while (i < stem.length && !isConsonant(stem, i)) i++
+    if (i >= stem.length) break
+    m++
+    while (i < stem.length && isConsonant(stem, i)) i++
+  }
+  return m
+}
+
+const hasVowel = (stem) => Array.from(stem).some((_, i) => !isConsonant(stem, i))
+const endsDoubleConsonant = (word) => word.length >= 2 && word.at(-1) === word.at(-2) && isConsonant(word, word.length - 1)
+// consonant-vowel-consonant ending, where the last consonant is not w, x or y
+const endsCvc = (word) => {
+  const n = word.length
+  return n >= 3 && isConsonant(word, n - 3) && !isConsonant(word, n - 2) && isConsonant(word, n - 1) && !'wxy'.includes(word[n - 1])
+}
+
+function stem(word) {
+  if (word.length <= 2 || /\d/.test(word)) return word
+  let w = word
+
+  // Step 1a
+  if (w.endsWith('sses')) w = w.slice(0, -2)
+  else if (w.endsWith('ies')) w = w.slice(0, -2)
+  else if (!w.endsWith('ss') && w.endsWith('s')) w = w.slice(0, -1)
+
+  // Step 1b
+  if (w.endsWith('eed')) {
+    if (measure(w.slice(0, -3)) > 0) w = w.slice(0, -1)
+  } else {
+    const suffix = ['ed', 'ing'].find((s) => w.endsWith(s) && hasVowel(w.slice(0, -s.length)))
+    if (suffix) {
+      w = w.slice(0, -suffix.length)
+      if (w.endsWith('at') || w.endsWith('bl') || w.endsWith('iz')) w += 'e'
+      else if (endsDoubleConsonant(w) && !'lsz'.includes(w.at(-1))) w = w.slice(0, -1)
+      else if (measure(w) === 1 && endsCvc(w)) w += 'e'
+    }
+  }
+
+  // Step 1c
+  if (w.endsWith('y') && hasVowel(w.slice(0, -1))) w = `${w.slice(0, -1)}i`
+
+  // Steps 2 and 3
+  for (const rules of [STEP2, STEP3]) {
+    const rule = rules.find(([suffix]) => w.endsWith(suffix))
+    if (rule && measure(w.slice(0, -rule[0].length)) > 0) w = w.slice(0, -rule[0].length) + rule[1]
+  }
+
+  // Step 4 (longest matching suffix; "ion" only after s or t)
+  const suffix = STEP4.filter((s) => w.endsWith(s)).sort((a, b) => b.length - a.length)[0]
+  if (suffix) {
+    const base = w.slice(0, -suffix.length)
+    if (measure(base) > 1 && (suffix !== 'ion' || /[st]$/.test(base))) w = base
+  }
+
+  // Step 5
+  if (w.endsWith('e')) {
+    const base = w.slice(0, -1)
+    const m = measure(base)
+    if (m > 1 || (m === 1 && !endsCvc(base))) w = base
+  }
+  if (measure(w) > 1 && endsDoubleConsonant(w) && w.endsWith('l')) w = w.slice(0, -1)
+
+  return w
+}
@@ -0,0 +1,176 @@
+// Section detection and document outlines.
+//
+// Page texts mark headings as Markdown lines ("## 3.2 Marginal cost"): the text formats render
+// them that way already, and PDF pages get them from detectPdfHeadings(), which combines layout
+// roles (Document Intelligence "title"/"sectionHeading" paragraphs), font size relative to body
+// text and numbering patterns. assignSections() then walks the headings across pages to give
+// every position in the document a section path, and buildOutline() turns the same headings
+// into a table of contents with page ranges.
+
+// "3.2 Marginal cost", "Chapter 4: Elasticity", "Section 2 - Markets", "Part 1"
+const NUMBERED_HEADING = /^(?:(chapter|section|part|unit|lecture|module|lesson)\s+)?([1-9]\d?(?:\.\d{1,2}){0,4})(?:[.):]|\s+[-–—])?\s+(?=\S)/iu
+const MARKDOWN_HEADING = /^(#{1,6})[ \t]+(.+?)[ \t]*$/gm
+const FONT_HEADING_RATIO = 1.2
+
+// { number, depth, keyword, level } for a numbered heading title, or null. Chapters and parts
+// are top-level whatever their number; otherwise "3.2" is a level-2 heading
+export function parseSectionNumber(title) {
+  const match = (title || '').match(NUMBERED_HEADING)
+  if (!match) return null
+  const keyword = match[1]?.toLowerCase() ?? null
+  const depth = match[2].split('.').length
+  return { number: match[2], depth, keyword, level: keyword === 'chapter' || keyword === 'part' ? 1 : depth }
+}
+
+// Plain-text lines that read like a heading: short, no sentence punctuation at the end, and
+// either numbered ("2.1 Costs", "Chapter 3") or carrying a layout/font cue the caller checked
+export function looksLikeHeading(text, { numberedOnly = false } = {}) {
+  const trimmed = (text || '').trim()
+  if (trimmed.length < 2 || trimmed.length > 120 || !/\p{L}/u.test(trimmed)) return false
+  if (/[.,;]$/.test(trimmed) || trimmed.split(/\s+/).length > 14) return false
+  if (!numberedOnly) return true
+
+  const numbered = parseSectionNumber(trimmed)
+  if (!numbered) return false
+  // "1. Buy low" is more often a list item than a chapter; single numbers need a keyword
+  const rest = trimmed.slice(trimmed.match(NUMBERED_HEADING)[0].length)
+  return (numbered.depth > 1 || Boolean(numbered.keyword)) && /^[\p{Lu}\p{N}]/u.test(rest)
+}
+
+// Heading levels for PDF layout pages: Map<pageNumber, Map<lineIndex, level>>
+export function detectPdfHeadings(pages) {
+  const lineHeight = (line) => {
+    const polygon = line.polygon || line.boundingRegions?.[0]?.polygon
+    if (!polygon || polygon.length < 4) return null
+    return Math.abs(polygon[3].y - polygon[0].y)
+  }
+
+  // Body text size: the median height of lines long enough to be prose
+  const bodyHeights = pages
+    .flatMap((page) => (page.lines || []).filter((line) => (line.content || '').length > 40).map(lineHeight))
+    .filter((height) => height > 0)
+    .sort((a, b) => a - b)
+  const bodyHeight = bodyHeights[Math.floor(bodyHeights.length / 2)] || null
+
+  // Running headers/footers (a page's first or last line, repeated on most pages) are not
+  // section starts
+  const edgeLines = (page) => {
+    const lines = (page.lines || []).map((line) => (line.content || '').trim())
+    return new Set([lines[0], lines[lines.length - 1]].filter(Boolean))
+  }
+  const repeated = new Map()
+  for (const page of pages) {
+    for (const content of edgeLines(page)) repeated.set(content, (repeated.get(content) || 0) + 1)
+  }
+  const isRunningText = (content, lineIndex, lineCount) => pages.length >= 3
+    && (lineIndex === 0 || lineIndex === lineCount - 1)
+    && repeated.get(content) > pages.length / 2
+
+  const candidates = []
+  for (const page of pages) {
+    const roles = new Map((page.headings || []).map((heading) => [heading.content.trim(), heading.role]))
+    ;(page.lines || []).forEach((line, lineIndex) => {
+      const content = (line.content || '').trim()
+      if (!content || isRunningText(content, lineIndex, page.lines.length)) return
+
+      const role = roles.get(content)
+      const height = lineHeight(line)
+      const large = bodyHeight && height && height >= bodyHeight * FONT_HEADING_RATIO
+      const numbered = parseSectionNumber(content)
+      if (role || (large && looksLikeHeading(content)) || looksLikeHeading(content, { numberedOnly: true })) {
+        candidates.push({ pageNumber: page.pageNumber, lineIndex, role, height: large ? height : null, numbered })
+      }
+    })
+  }
+
+  // Numbering depth decides the level when present; otherwise bigger fonts rank higher
+  const sizes = Array.from(new Set(candidates.map((c) => c.height).filter(Boolean).map((h) => Math.round(h))))
+    .sort((a, b) => b - a)
+  const headings = new Map()
+  for (const candidate of candidates) {
+    let level
+    if (candidate.numbered) level = candidate.numbered.level
+    else if (candidate.role === 'title') level = 1
+    else if (candidate.height) level = sizes.indexOf(Math.round(candidate.height)) + 1
+    else level = 2
+    if (!headings.has(candidate.pageNumber)) headings.set(candidate.pageNumber, new Map())
+    headings.get(candidate.pageNumber).set(candidate.lineIndex, Math.min(level, 6))
+  }
+  return headings
+}
+
+// Headings in a page text, skipping anything inside [TABLE]/[FIGURE] blocks
+function findHeadings(text) {
+  const blocks = Array.from((text || '').matchAll(/\[(TABLE|FIGURE) (\d+)\][\s\S]*?\[END \1 \2\]/g))
+    .map((match) => [match.index, match.index + match[0].length])
+  return Array.from((text || '').matchAll(MARKDOWN_HEADING))
+    .filter((match) => !blocks.some(([start, end]) => match.index >= start && match.index < end))
+    .map((match) => ({ offset: match.index, level: match[1].length, title: match[2].replace(/\s+#+$/, '') }))
+}
+
+// Adds `sections: [{ offset, level, title, path }]` (headings on the page) and `sectionPath`
+// (the path in effect where the page starts) to each page text
+export function assignSections(pageTexts) {
+  let stack = []
+  for (const page of pageTexts) {
+    page.sectionPath = stack.map((entry) => entry.title)
+    page.sections = findHeadings(page.text).map((heading) => {
+      stack = [...stack.filter((entry) => entry.level < heading.level), heading]
+      return { ...heading, path: stack.map((entry) => entry.title) }
+    })
+  }
+  return pageTexts
+}
+
+// Section path at a character offset of a page that went through assignSections()
+export function sectionPathAt(page, offset) {
+  let path = page.sectionPath || []
+  for (const section of page.sections || []) {
+    if (section.offset > offset) break
+    path = section.path
+  }
+  return path
+}
+
+// Nested table of contents: [{ title, number, level, pageStart, pageEnd, children }]
+export function buildOutline(pageTexts) {
+  const flat = []
+  for (const page of pageTexts) {
+    for (const section of page.sections || findHeadings(page.text)) {
+      // A heading at the very top of a page ends the previous sections on the page before
+      const startsPage = !(page.text || '').slice(0, section.offset).trim()
+      flat.push({ ...section, pageNumber: page.pageNumber, startsPage })
+    }
+  }
+
+  const lastPage = pageTexts.length > 0 ? pageTexts[pageTexts.length - 1].pageNumber : null
+  const root = { level: 0, children: [] }
+  const stack = [root]
+  flat.forEach((section, idx) => {
+    const next = flat.slice(idx + 1).find((other) => other.level <= section.level)
+    const entry = {
+      title: section.title,
+      number: parseSectionNumber(section.title)?.number ?? null,
+      level: section.level,
+      pageStart: section.pageNumber,
+      pageEnd: next
+        ? Math.max(section.pageNumber, next.startsPage ? next.pageNumber - 1 : next.pageNumber)
+        : lastPage,
+      children: [],
+    }
+    while (stack[stack.length - 1].level >= entry.level) stack.pop()
+    stack[stack.length - 1].children.push(entry)
+    stack.push(entry)
+  })
+  return root.children
+}
+
+// Outline entry numbered e.g. "3.2", searching nested entries
+export function findOutlineSection(outline, number) {
+  for (const entry of outline || []) {
+    if (entry.number === number) return entry
+    const found = findOutlineSection(entry.children, number)
+    if (found) return found
+  }
+  return null
+}
@@ -0,0 +1,94 @@
+import { v4 as uuidv4 } from 'uuid'
+
+// Study sessions: the chat transcript for one student and document, persisted in a storage
+// record collection so a conversation survives page reloads and can be picked up days later.
+//
+// A session record looks like:
+//   { id, studentId, documentId, courseId, fileName, title, messages, createdAt, updatedAt }
+//
+// messages are { role: 'user' | 'assistant', content, createdAt } in order; assistant turns also
+// carry the reply's sources and query filters, and `stopped: true` when the student cancelled
+// the answer.
+
+// Keeps the record well under Cosmos DB's 2 MB item limit; the oldest turns go first
+const MAX_SESSION_MESSAGES = 400
+const TITLE_CHARS = 80
+
+export function createSessionStore({ store }) {
+  // Appends are read-modify-write, so turns for the same session are applied one at a time
+  const writes = new Map()
+
+  function serialize(id, fn) {
+    const previous = writes.get(id) || Promise.resolve()
+    const next = previous.catch(() => {}).then(fn)
+    writes.set(id, next)
+    next.finally(() => {
+      if (writes.get(id) === next) writes.delete(id)
+    }).catch(() => {})
+    return next
+  }
+
+  async function create({ studentId, document }) {
+    const now = new Date().toISOString()
+    const session = {
+      id: uuidv4(),
+      studentId,
+      documentId: document.id,
+      courseId: document.courseId || null,
+      fileName: document.fileName,
+      title: null,
+      messages: [],
+      createdAt: now,
+      updatedAt: now,
+    }
+    await store.put(session)
+    console.log(`💬 Study session ${session.id} started for ${document.fileName}`)
+    return session
+  }
+
+  // Records a question and its answer (full or partial) as one turn
+  function appendTurn(id, { question, answer, sources = [], filters = [], stopped = false }) {
+    return serialize(id, async () => {
+      const session = await store.get(id)
+      if (!session) throw Object.assign(new Error(`Session ${id} not found`), { status: 404 })
+
+      const now = new Date().toISOString()
+      const messages = [
+        ...session.messages,
+        { role: 'user', content: question, createdAt: now },
+        { role: 'assistant', content: answer, sources, filters, ...(stopped ? { stopped: true } : {}), createdAt: now },
+      ].slice(-MAX_SESSION_MESSAGES)
+
+      const next = {
+        ...session,
+        title: session.title || question.substring(0, TITLE_CHARS),
+        messages,
+        updatedAt: now,
+      }
+      await store.put(next)
+      return next
+    })
+  }
+
+  // Newest first, without the transcripts
+  async function list(filter) {
+    return (await store.find(filter))
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+      .map(({ messages, ...session }) => ({ ...session, messageCount: messages.length }))
+  }
+
+  async function deleteByDocument(documentId) {
+    const sessions = await store.find({ documentId })
+    await Promise.all(sessions.map((session) => store.delete(session.id)))
+    return sessions.length
+  }
+
+  return {
+    create,
+    get: (id) => store.get(id),
+    appendTurn,
+    list,
+    delete: (id) => store.delete(id),
+    deleteByDocument,
+  }
+}
@@ -0,0 +1,522 @@
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import {
+  BlobServiceClient,
+  StorageSharedKeyCredential,
+  BlobSASPermissions,
+  generateBlobSASQueryParameters,
+} from '@azure/storage-blob'
+import { CosmosClient } from '@azure/cosmos'
+import { isTransientError, withRetry } from './retry.js'
+
+// Storage layer: two blob containers (uploads + parsed layout JSON) and a chunk store.
+// Every backend exposes the same shape so the routes never touch a specific SDK:
+//
+//   storage.uploads / storage.parsedJson
+//     upload(name, data, contentType), download(name) -> Buffer,
+//     getProperties(name) -> { contentLength, contentType } | null, exists(name), delete(name),
+//     getUrl(name, { expiresInMinutes }) -> URL the frontend can load
+//   storage.chunks
+//     bulkCreate(docs), findByDocument(documentId, filter) -> chunks sorted by pageNumber,
+//     deleteByDocument(documentId, filter) -> number of chunks removed
+//     filter narrows to chunks with matching fields, e.g. { indexVersion: 2 }
+//   storage.jobs / storage.documents / storage.sessions (record collections)
+//     get(id) -> record | null, put(record) -> record, find(filter) -> records, delete(id),
+//     update(id, fn) -> record
+//     find() matches records whose fields equal every defined value in filter
+//     update() is an atomic read-modify-write: fn(current | null) returns the record to store
+//     (or throws to leave it alone) and is applied again if the record changed in between, so
+//     it must be synchronous and free of side effects
+
+export const STORAGE_PROVIDERS = ['azure', 'local', 'memory']
+
+// Small JSON record collections stored next to the chunks
+const RECORD_COLLECTIONS = ['jobs', 'documents', 'sessions']
+
+export async function createStorage(config) {
+  const provider = config.provider
+  if (provider === 'azure') return createAzureStorage(config)
+  if (provider === 'local') return createLocalStorage(config)
+  if (provider === 'memory') return createMemoryStorage(config)
+  throw new Error(`Unknown storage provider "${provider}" (expected one of: ${STORAGE_PROVIDERS.join(', ')})`)
+}
+
+function matchesFilter(record, filter = {}) {
+  return Object.entries(filter).every(([key, value]) => value === undefined || record[key] === value)
+}
+
+// SELECT with equality conditions for every defined value in filter
+function buildCosmosQuery(select, filter = {}) {
+  const entries = Object.entries(filter).filter(([, value]) => value !== undefined)
+  return {
+    query: `${select}${entries.length ? ' WHERE ' + entries.map(([key], i) => `c.${key} = @p${i}`).join(' AND ') : ''}`,
+    parameters: entries.map(([, value], i) => ({ name: `@p${i}`, value })),
+  }
+}
+
+function sortByPage(chunks) {
+  return chunks.sort((a, b) => (a.pageNumber ?? 0) - (b.pageNumber ?? 0))
+}
+
+// Local and in-memory blobs are served by the API itself (see GET /api/blobs/:container/:blobName)
+function buildPublicBlobUrl(publicBaseUrl, containerName, name) {
+  return `${publicBaseUrl}/api/blobs/${encodeURIComponent(containerName)}/${encodeURIComponent(name)}`
+}
+
+//
+// Azure: Blob Storage + Cosmos DB
+//
+async function createAzureStorage({
+  connectionString,
+  uploadsContainerName,
+  jsonContainerName,
+  cosmosEndpoint,
+  cosmosKey,
+  cosmosDbName,
+  cosmosContainerName,
+  cosmosRecordContainerPrefix = '',
+  cosmosChunkPartitionKey = 'documentId',
+}) {
+  if (!connectionString) {
+    throw new Error('Missing AZURE_STORAGE_CONNECTION_STRING env var')
+  }
+  if (!cosmosEndpoint || !cosmosKey || !cosmosDbName || !cosmosContainerName) {
+    throw new Error('Missing Cosmos DB env vars')
+  }
+
+  const blobServiceClient = BlobServiceClient.fromConnectionString(connectionString)
+  const { accountName, accountKey } = parseAccountInfo(connectionString)
+  const blobCredential = new StorageSharedKeyCredential(accountName, accountKey)
+
+  const uploads = await createAzureBlobContainer(blobServiceClient, uploadsContainerName, { accountName, blobCredential })
+  const parsedJson = await createAzureBlobContainer(blobServiceClient, jsonContainerName, { accountName, blobCredential })
+  console.log('✓ Blob storage initialized')
+
+  const cosmosClient = new CosmosClient({ endpoint: cosmosEndpoint, key: cosmosKey })
+  const database = cosmosClient.database(cosmosDbName)
+  const cosmosContainer = database.container(cosmosContainerName)
+  console.log('✓ Cosmos DB initialized')
+
+  const chunks = {
+    async bulkCreate(docs) {
+      if (docs.length === 0) return
+      await runCosmosBulk(
+        cosmosContainer,
+        docs.map((doc) => ({ operationType: 'Create', resourceBody: doc })),
+        'Chunk create',
+      )
+    },
+    async findByDocument(documentId, filter = {}) {
+      const query = buildCosmosQuery('SELECT * FROM c', { ...filter, documentId })
+      query.query += ' ORDER BY c.pageNumber'
+      const { resources } = await cosmosContainer.items.query(query).fetchAll()
+      return resources || []
+    },
+    async deleteByDocument(documentId, filter = {}) {
+      const query = buildCosmosQuery(`SELECT c.id, c.${cosmosChunkPartitionKey} AS pk FROM c`, { ...filter, documentId })
+      const { resources = [] } = await cosmosContainer.items.query(query).fetchAll()
+      const results = await runCosmosBulk(
+        cosmosContainer,
+        resources.map((c) => ({ operationType: 'Delete', id: c.id, partitionKey: c.pk })),
+        'Chunk delete',
+      )
+      // A chunk that was already gone (404) wasn't removed by this call
+      return results.filter((result) => result.statusCode !== 404).length
+    },
+  }
+
+  const records = {}
+  for (const name of RECORD_COLLECTIONS) {
+    records[name] = await createCosmosRecordStore(database, `${cosmosRecordContainerPrefix}${name}`)
+  }
+  console.log(`✓ Cosmos record containers initialized (${RECORD_COLLECTIONS.join(', ')})`)
+
+  return { provider: 'azure', uploads, parsedJson, chunks, ...records }
+}
+
+// Bulk requests are capped at 100 operations
+const COSMOS_BULK_LIMIT = 100
+
+// items.bulk() reports success per operation, so a throttled (429) or failed operation doesn't
+// make the call throw. Sends the operations in requests of up to COSMOS_BULK_LIMIT, retries the
+// ones that failed transiently and throws if any still fail (or fail for good). Deleting an item
+// that is already gone counts as done. Returns the successful operations' responses.
+async function runCosmosBulk(container, operations, label) {
+  const done = []
+  for (let i = 0; i < operations.length; i += COSMOS_BULK_LIMIT) {
+    let pending = operations.slice(i, i + COSMOS_BULK_LIMIT)
+    await withRetry(async () => {
+      const results = await container.items.bulk(pending)
+      const failed = []
+      results.forEach((result, index) => {
+        const ok = (result.statusCode >= 200 && result.statusCode < 300)
+          || (pending[index].operationType === 'Delete' && result.statusCode === 404)
+        if (ok) done.push(result)
+        else failed.push({ operation: pending[index], statusCode: result.statusCode })
+      })
+      pending = failed.map((f) => f.operation)
+      if (failed.length === 0) return
+
+      // A permanent failure is thrown as is; transient ones are retried by withRetry
+      const statusCode = (failed.find((f) => !isTransientError({ statusCode: f.statusCode })) || failed[0]).statusCode
+      throw Object.assign(
+        new Error(`${failed.length} of ${results.length} operations failed (status ${statusCode})`),
+        { statusCode },
+      )
+    }, { label })
+  }
+  return done
+}
+
+// Record containers are partitioned by id so point reads and deletes need no extra key
+async function createCosmosRecordStore(database, containerName) {
+  const { container } = await database.containers.createIfNotExists({
+    id: containerName,
+    partitionKey: { paths: ['/id'] },
+  })
+
+  return {
+    async get(id) {
+      const { resource } = await container.item(id, id).read()
+      return resource || null
+    },
+    async put(record) {
+      const { resource } = await container.items.upsert(record)
+      return resource
+    },
+    // Optimistic concurrency: the write only lands if the record's _etag is unchanged
+    async update(id, fn) {
+      for (let attempt = 0; ; attempt++) {
+        const { resource: current } = await container.item(id, id).read()
+        const next = fn(current || null)
+        try {
+          const { resource } = current
+            ? await container.item(id, id).replace(next, { accessCondition: { type: 'IfMatch', condition: current._etag } })
+            : await container.items.create(next)
+          return resource
+        } catch (error) {
+          // 412: changed since the read; 409: created since the read
+          if ((error.code === 412 || error.code === 409) && attempt < 4) continue
+          throw error
+        }
+      }
+    },
+    async find(filter = {}) {
+      const { resources } = await container.items.query(buildCosmosQuery('SELECT * FROM c', filter)).fetchAll()
+      return resources || []
+    },
+    async delete(id) {
+      await container.item(id, id).delete().catch((error) => {
+        if (error.code !== 404) throw error
+      })
+    },
+  }
+}
+
+async function createAzureBlobContainer(blobServiceClient, containerName, { accountName, blobCredential }) {
+  const container = blobServiceClient.getContainerClient(containerName)
+  await container.createIfNotExists()
+
+  return {
+    name: containerName,
+    async upload(name, data, contentType) {
+      await container.getBlockBlobClient(name).uploadData(data, {
+        blobHTTPHeaders: { blobContentType: contentType },
+      })
+    },
+    async download(name) {
+      return container.getBlockBlobClient(name).downloadToBuffer()
+    },
+    async getProperties(name) {
+      const client = container.getBlockBlobClient(name)
+      if (!(await client.exists())) return null
+      const props = await client.getProperties()
+      return { contentLength: props.contentLength, contentType: props.contentType }
+    },
+    async exists(name) {
+      return container.getBlockBlobClient(name).exists()
+    },
+    async delete(name) {
+      await container.getBlockBlobClient(name).deleteIfExists()
+    },
+    getUrl(name, { expiresInMinutes = 1440 } = {}) {
+      return buildBlobSasUrl({ containerName, blobName: name, blobCredential, accountName, expiresInMinutes })
+    },
+  }
+}
+
+function buildBlobSasUrl({ containerName, blobName, blobCredential, accountName, expiresInMinutes }) {
+  try {
+    const sas = generateBlobSASQueryParameters(
+      {
+        containerName,
+        blobName,
+        permissions: BlobSASPermissions.parse('r'),
+        expiresOn: new Date(Date.now() + expiresInMinutes * 60 * 1000),
+      },
+      blobCredential,
+    ).toString()
+    const url = `https://${accountName}.blob.core.windows.net/${containerName}/${blobName}?${sas}`
+    console.log('   SAS URL created:', url.substring(0, 100) + '...')
+    return url
+  } catch (error) {
+    console.error('   Error generating SAS URL:', error.message)
+    // Fallback to unsigned URL if SAS fails
+    return `https://${accountName}.blob.core.windows.net/${containerName}/${blobName}`
+  }
+}
+
+function parseAccountInfo(connectionString) {
+  const accountNameMatch = connectionString.match(/AccountName=([^;]+)/)
+  const accountKeyMatch = connectionString.match(/AccountKey=([^;]+)/)
+  if (!accountNameMatch || !accountKeyMatch) {
+    throw new Error('Could not parse storage account name/key from connection string')
+  }
+  return { accountName: accountNameMatch[1], accountKey: accountKeyMatch[1] }
+}
+
+//
+// Local disk: <rootDir>/<container>/<blob> and <rootDir>/chunks/<documentId>.json
+//
+async function createLocalStorage({ rootDir, uploadsContainerName, jsonContainerName, publicBaseUrl }) {
+  const root = path.resolve(rootDir)
+  const uploads = await createLocalBlobContainer(root, uploadsContainerName, publicBaseUrl)
+  const parsedJson = await createLocalBlobContainer(root, jsonContainerName, publicBaseUrl)
+  console.log(`✓ Local blob storage initialized (${root})`)
+
+  const chunksDir = path.join(root, 'chunks')
+  await fs.mkdir(chunksDir, { recursive: true })
+  const chunkFile = (documentId) => path.join(chunksDir, `${safeFileName(documentId)}.json`)
+
+  const chunks = {
+    async bulkCreate(docs) {
+      // Group by document so each file is rewritten once per batch
+      const byDocument = new Map()
+      for (const doc of docs) {
+        if (!byDocument.has(doc.documentId)) byDocument.set(doc.documentId, [])
+        byDocument.get(doc.documentId).push(doc)
+      }
+      for (const [documentId, docsForDocument] of byDocument) {
+        await withFileLock(chunkFile(documentId), async (file) => {
+          const existing = await readJsonFile(file, [])
+          await writeJsonFile(file, [...existing, ...docsForDocument])
+        })
+      }
+    },
+    async findByDocument(documentId, filter = {}) {
+      const all = await readJsonFile(chunkFile(documentId), [])
+      return sortByPage(all.filter((chunk) => matchesFilter(chunk, filter)))
+    },
+    async deleteByDocument(documentId, filter = {}) {
+      return withFileLock(chunkFile(documentId), async (file) => {
+        const existing = await readJsonFile(file, [])
+        const kept = existing.filter((chunk) => !matchesFilter(chunk, filter))
+        if (kept.length > 0) await writeJsonFile(file, kept)
+        else await fs.rm(file, { force: true })
+        return existing.length - kept.length
+      })
+    },
+  }
+  console.log('✓ Local chunk store initialized')
+
+  const records = {}
+  for (const name of RECORD_COLLECTIONS) {
+    records[name] = await createLocalRecordStore(path.join(root, 'records', name))
+  }
+
+  return { provider: 'local', uploads, parsedJson, chunks, ...records }
+}
+
+async function createLocalRecordStore(dir) {
+  await fs.mkdir(dir, { recursive: true })
+  const recordFile = (id) => path.join(dir, `${safeFileName(id)}.json`)
+
+  return {
+    async get(id) {
+      return readJsonFile(recordFile(id), null)
+    },
+    async put(record) {
+      await withFileLock(recordFile(record.id), (file) => writeJsonFile(file, record))
+      return record
+    },
+    // Holds the record's file lock across the read and the write
+    async update(id, fn) {
+      return withFileLock(recordFile(id), async (file) => {
+        const next = fn(await readJsonFile(file, null))
+        await writeJsonFile(file, next)
+        return next
+      })
+    },
+    async find(filter = {}) {
+      const files = (await fs.readdir(dir)).filter((f) => f.endsWith('.json'))
+      const all = await Promise.all(files.map((f) => readJsonFile(path.join(dir, f), null)))
+      return all.filter((record) => record && matchesFilter(record, filter))
+    },
+    async delete(id) {
+      await withFileLock(recordFile(id), (file) => fs.rm(file, { force: true }))
+    },
+  }
+}
+
+async function createLocalBlobContainer(root, containerName, publicBaseUrl) {
+  const dir = path.join(root, containerName)
+  await fs.mkdir(dir, { recursive: true })
+  const blobPath = (name) => path.join(dir, safeFileName(name))
+
+  return {
+    name: containerName,
+    async upload(name, data, contentType) {
+      await fs.writeFile(blobPath(name), data)
+      await writeJsonFile(`${blobPath(name)}.meta`, { contentType })
+    },
+    async download(name) {
+      return fs.readFile(blobPath(name))
+    },
+    async getProperties(name) {
+      try {
+        const stats = await fs.stat(blobPath(name))
+        const meta = await readJsonFile(`${blobPath(name)}.meta`, {})
+        return { contentLength: stats.size, contentType: meta.contentType || 'application/octet-stream' }
+      } catch (error) {
+        if (error.code === 'ENOENT') return null
+        throw error
+      }
+    },
+    async exists(name) {
+      return Boolean(await this.getProperties(name))
+    },
+    async delete(name) {
+      await fs.rm(blobPath(name), { force: true })
+      await fs.rm(`${blobPath(name)}.meta`, { force: true })
+    },
+    getUrl(name) {
+      return buildPublicBlobUrl(publicBaseUrl, containerName, name)
+    },
+  }
+}
+
+// Blob names embed the original upload filename; keep them inside the container directory
+function safeFileName(name) {
+  return String(name).replace(/[/\\]/g, '_').replace(/^\.+/, '_')
+}
+
+async function readJsonFile(file, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'))
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback
+    throw error
+  }
+}
+
+async function writeJsonFile(file, value) {
+  // Write to a temp file first so a crash never leaves half-written JSON behind
+  const tmp = `${file}.${process.pid}.tmp`
+  await fs.writeFile(tmp, JSON.stringify(value))
+  await fs.rename(tmp, file)
+}
+
+// Serialize read-modify-write cycles on the same file
+const fileLocks = new Map()
+function withFileLock(file, fn) {
+  const previous = fileLocks.get(file) || Promise.resolve()
+  const next = previous.catch(() => {}).then(() => fn(file))
+  fileLocks.set(file, next)
+  next.finally(() => {
+    if (fileLocks.get(file) === next) fileLocks.delete(file)
+  }).catch(() => {})
+  return next
+}
+
+//
+// In-memory: everything lives in Maps and disappears on restart
+//
+function createMemoryStorage({ uploadsContainerName, jsonContainerName, publicBaseUrl }) {
+  const uploads = createMemoryBlobContainer(uploadsContainerName, publicBaseUrl)
+  const parsedJson = createMemoryBlobContainer(jsonContainerName, publicBaseUrl)
+
+  const chunksByDocument = new Map() // documentId -> chunk[]
+  const chunks = {
+    async bulkCreate(docs) {
+      for (const doc of docs) {
+        if (!chunksByDocument.has(doc.documentId)) chunksByDocument.set(doc.documentId, [])
+        chunksByDocument.get(doc.documentId).push(structuredClone(doc))
+      }
+    },
+    async findByDocument(documentId, filter = {}) {
+      const all = chunksByDocument.get(documentId) || []
+      return sortByPage(structuredClone(all.filter((chunk) => matchesFilter(chunk, filter))))
+    },
+    async deleteByDocument(documentId, filter = {}) {
+      const existing = chunksByDocument.get(documentId) || []
+      const kept = existing.filter((chunk) => !matchesFilter(chunk, filter))
+      if (kept.length > 0) chunksByDocument.set(documentId, kept)
+      else chunksByDocument.delete(documentId)
+      return existing.length - kept.length
+    },
+  }
+  console.log('✓ In-memory storage initialized (data is lost on restart)')
+
+  const records = Object.fromEntries(RECORD_COLLECTIONS.map((name) => [name, createMemoryRecordStore()]))
+
+  return { provider: 'memory', uploads, parsedJson, chunks, ...records }
+}
+
+function createMemoryRecordStore() {
+  const byId = new Map()
+
+  return {
+    async get(id) {
+      return byId.has(id) ? structuredClone(byId.get(id)) : null
+    },
+    async put(record) {
+      byId.set(record.id, structuredClone(record))
+      return record
+    },
+    // No await between the read and the write, so nothing can interleave
+    async update(id, fn) {
+      const next = fn(byId.has(id) ? structuredClone(byId.get(id)) : null)
+      byId.set(id, structuredClone(next))
+      return next
+    },
+    async find(filter = {}) {
+      return Array.from(byId.values()).filter((record) => matchesFilter(record, filter)).map((r) => structuredClone(r))
+    },
+    async delete(id) {
+      byId.delete(id)
+    },
+  }
+}
+
+function createMemoryBlobContainer(containerName, publicBaseUrl) {
+  const blobs = new Map() // name -> { data, contentType }
+
+  return {
+    name: containerName,
+    async upload(name, data, contentType) {
+      blobs.set(name, { data: Buffer.from(data), contentType })
+    },
+    async download(name) {
+      const blob = blobs.get(name)
+      if (!blob) {
+        const error = new Error(`Blob not found: ${containerName}/${name}`)
+        error.code = 'ENOENT'
+        throw error
+      }
+      return blob.data
+    },
+    async getProperties(name) {
+      const blob = blobs.get(name)
+      return blob ? { contentLength: blob.data.length, contentType: blob.contentType } : null
+    },
+    async exists(name) {
+      return blobs.has(name)
+    },
+    async delete(name) {
+      blobs.delete(name)
+    },
+    getUrl(name) {
+      return buildPublicBlobUrl(publicBaseUrl, containerName, name)
+    },
+  }
+}
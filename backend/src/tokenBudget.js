@@ -0,0 +1,76 @@
+import { estimateTokens } from './chunkText.js'
+
+// Token budget for a chat prompt. The model's context window is split between the answer
+// (reserved up front), the prompt instructions and question (measured), earlier turns (up to a
+// share of what's left) and retrieved context (the rest, up to a cap):
+//
+//   contextWindow = answer + margin + instructions + history + context
+//
+// Counts come from estimateTokens(), which can be a little off for a model's real tokenizer, so
+// a tenth of the window is kept free as a safety margin.
+
+// Context window and output limit per model; LLM_CONTEXT_TOKENS covers anything not listed
+// (and local servers such as Ollama, whose window is whatever num_ctx they were started with)
+const MODEL_LIMITS = {
+  'llama-3.1-70b-versatile': { contextWindow: 131072, maxOutputTokens: 8000 },
+  'llama-3.3-70b-versatile': { contextWindow: 131072, maxOutputTokens: 32768 },
+  'llama-3.1-8b-instant': { contextWindow: 131072, maxOutputTokens: 131072 },
+  'meta-llama/llama-4-scout-17b-16e-instruct': { contextWindow: 131072, maxOutputTokens: 8192 },
+  'openai/gpt-oss-20b': { contextWindow: 131072, maxOutputTokens: 65536 },
+  'openai/gpt-oss-120b': { contextWindow: 131072, maxOutputTokens: 65536 },
+  'gemma2-9b-it': { contextWindow: 8192, maxOutputTokens: 8192 },
+  'gpt-4o': { contextWindow: 128000, maxOutputTokens: 16384 },
+  'gpt-4o-mini': { contextWindow: 128000, maxOutputTokens: 16384 },
+  'gpt-4.1': { contextWindow: 1047576, maxOutputTokens: 32768 },
+  'gpt-4.1-mini': { contextWindow: 1047576, maxOutputTokens: 32768 },
+  mock: { contextWindow: 8192, maxOutputTokens: 4096 },
+}
+const DEFAULT_LIMITS = { contextWindow: 8192, maxOutputTokens: 4096 }
+
+const SAFETY_MARGIN = 0.1
+// History gets at most this share of the prompt space left after the instructions
+const HISTORY_SHARE = 0.3
+// Role and separator tokens each chat message adds
+const MESSAGE_OVERHEAD = 4
+
+export function modelLimits(model, { contextWindow } = {}) {
+  const known = MODEL_LIMITS[model] || DEFAULT_LIMITS
+  return { ...known, contextWindow: contextWindow || known.contextWindow, known: Boolean(MODEL_LIMITS[model]) }
+}
+
+export function messageTokens(messages) {
+  return messages.reduce((sum, message) => sum + estimateTokens(message.content) + MESSAGE_OVERHEAD, 0)
+}
+
+// historyTokens and contextTokens are caps: small prompts stay small on big-window models,
+// which keeps cost, latency and rate-limit use down
+export function createTokenBudget({ model, contextWindow, answerTokens, historyTokens, contextTokens }) {
+  const limits = modelLimits(model, { contextWindow })
+  const answer = Math.min(answerTokens, limits.maxOutputTokens)
+  // What the prompt (every message sent) may use
+  const promptSpace = limits.contextWindow - answer - Math.floor(limits.contextWindow * SAFETY_MARGIN)
+  if (promptSpace < 1) {
+    throw new Error(`Context window of ${limits.contextWindow} tokens leaves no room for a prompt next to a ${answer}-token answer`)
+  }
+
+  return {
+    model,
+    contextWindow: limits.contextWindow,
+    knownModel: limits.known,
+    answerTokens: answer,
+
+    // Tokens for earlier turns, given the instructions-and-question prompt
+    history(instructionTokens) {
+      return Math.max(0, Math.min(historyTokens, Math.floor((promptSpace - instructionTokens) * HISTORY_SHARE)))
+    },
+
+    // Tokens for retrieved context, given everything else in the prompt
+    context(usedTokens) {
+      return Math.max(0, Math.min(contextTokens, promptSpace - usedTokens))
+    },
+
+    describe() {
+      return `${limits.contextWindow}-token window${limits.known ? '' : ' (default)'}, ${answer} for answers, up to ${historyTokens} for history and ${contextTokens} for context`
+    },
+  }
+}
@@ -0,0 +1,69 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+import { chunkText, estimateTokens } from '../src/chunkText.js'
+
+// n one-token words ending in a full stop: estimateTokens(words(n)) === n + 1
+const words = (n, word = 'wage') => `${Array(n).fill(word).join(' ')}.`
+
+const assertOffsets = (text, chunks) => {
+  for (const chunk of chunks) assert.equal(text.slice(chunk.startOffset, chunk.endOffset), chunk.content)
+}
+
+test('a heading whose following paragraph fills a chunk is kept with that paragraph', () => {
+  const text = `${words(60)}\n\n## 3.2 Monopsony\n\n${words(95)}`
+  const chunks = chunkText(text, { maxTokens: 100, overlapTokens: 32 })
+
+  assert.equal(chunks.length, 2)
+  assert.ok(!chunks[0].content.includes('Monopsony'))
+  assert.ok(chunks[1].content.startsWith('## 3.2 Monopsony\n\n'))
+  assert.ok(chunks[1].content.endsWith(words(95)))
+  assertOffsets(text, chunks)
+})
+
+test('headings move to the chunk with the text after them, after the overlap tail', () => {
+  const text = [words(40, 'cost'), words(10, 'firm'), '## Elasticity', words(60, 'rent')].join('\n\n')
+  const chunks = chunkText(text, { maxTokens: 100, overlapTokens: 20 })
+
+  assert.equal(chunks.length, 2)
+  assert.ok(!chunks[0].content.includes('## Elasticity'))
+  assert.equal(chunks[1].content, [words(10, 'firm'), '## Elasticity', words(60, 'rent')].join('\n\n'))
+  assertOffsets(text, chunks)
+})
+
+test('consecutive chunks overlap by whole pieces worth at most overlapTokens', () => {
+  const paragraphs = Array.from({ length: 12 }, (_, i) => words(9, ['cost', 'wage', 'firm'][i % 3]))
+  const text = paragraphs.join('\n\n')
+  const chunks = chunkText(text, { maxTokens: 50, overlapTokens: 20 })
+
+  assert.ok(chunks.length > 2)
+  for (let i = 1; i < chunks.length; i++) {
+    const overlap = chunks[i - 1].endOffset - chunks[i].startOffset
+    assert.ok(overlap > 0, `chunk ${i} overlaps the one before it`)
+    assert.ok(estimateTokens(text.slice(chunks[i].startOffset, chunks[i - 1].endOffset)) <= 20)
+  }
+  for (const chunk of chunks) assert.ok(chunk.tokenCount <= 50)
+  assertOffsets(text, chunks)
+})
+
+test('a table larger than maxTokens is yielded whole as its own chunk', () => {
+  const rows = Array.from({ length: 40 }, (_, i) => `| Region ${i} | ${1000 + i} | ${2000 + i} |`).join('\n')
+  const table = `[TABLE 2]\n${rows}\n[END TABLE 2]`
+  const text = `${words(20)}\n\n${table}\n\n${words(20, 'firm')}`
+  const chunks = chunkText(text, { maxTokens: 50, overlapTokens: 10 })
+
+  assert.deepEqual(chunks.map((c) => c.kind), ['text', 'table', 'text'])
+  assert.equal(chunks[1].content, table)
+  assert.equal(chunks[1].blockIndex, 2)
+  assert.ok(chunks[1].tokenCount > 50)
+  assertOffsets(text, chunks)
+})
+
+test('an oversized paragraph is split at sentences, and an oversized sentence at words', () => {
+  const text = `${words(30)} ${words(30, 'firm')} ${words(30, 'cost')}\n\n${Array(120).fill('rent').join(' ')}`
+  const chunks = chunkText(text, { maxTokens: 40, overlapTokens: 0 })
+
+  assert.deepEqual(chunks.slice(0, 3).map((c) => c.content), [words(30), words(30, 'firm'), words(30, 'cost')])
+  for (const chunk of chunks) assert.ok(chunk.tokenCount <= 40)
+  assert.equal(chunks.slice(3).map((c) => c.content).join(' '), Array(120).fill('rent').join(' '))
+  assertOffsets(text, chunks)
+})
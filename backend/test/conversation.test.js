@@ -0,0 +1,93 @@
+import assert from 'node:assert/strict'
+import { beforeEach, mock, test } from 'node:test'
+import { budgetHistory, looksLikeFollowUp, normalizeHistory, rewriteFollowUp } from '../src/conversation.js'
+
+// Stand-in for the LLM client: records prompts and replies with reply(prompt)
+const fakeLlm = (reply) => {
+  const prompts = []
+  return {
+    prompts,
+    async complete({ messages }) {
+      prompts.push(messages[0].content)
+      return { content: reply(messages[0].content) }
+    },
+  }
+}
+
+beforeEach(() => {
+  for (const method of ['log', 'warn', 'error']) mock.method(console, method, () => {})
+})
+
+const history = [
+  { role: 'user', content: 'What does Figure 2 on page 7 show?' },
+  { role: 'assistant', content: 'It shows a <b>monopsony</b> labor market.<br>The firm pays below the marginal revenue product.' },
+]
+
+test('normalizeHistory keeps user and assistant turns as plain text', () => {
+  const turns = normalizeHistory([...history, { role: 'system', content: 'ignored' }, { role: 'user', content: '<p></p>' }, null])
+  assert.deepEqual(turns, [
+    history[0],
+    { role: 'assistant', content: 'It shows a monopsony labor market.\nThe firm pays below the marginal revenue product.' },
+  ])
+  assert.deepEqual(normalizeHistory('not an array'), [])
+})
+
+test('follow-ups are questions leaning on earlier turns', () => {
+  assert.equal(looksLikeFollowUp('What about the second curve?'), true)
+  assert.equal(looksLikeFollowUp('why?'), true)
+  assert.equal(looksLikeFollowUp('How does a minimum wage change employment under monopsony?'), false)
+})
+
+test('rewriteFollowUp turns a follow-up into a standalone question', async () => {
+  const llm = fakeLlm(() => '"How does the monopsony wage in Figure 2 compare to the competitive wage?"\nExtra line')
+  const rewritten = await rewriteFollowUp(llm, normalizeHistory(history), 'how does that compare to the competitive wage?')
+
+  assert.equal(rewritten, 'How does the monopsony wage in Figure 2 compare to the competitive wage?')
+  assert.equal(llm.prompts.length, 1)
+  assert.match(llm.prompts[0], /Student: What does Figure 2 on page 7 show\?/)
+  assert.match(llm.prompts[0], /Follow-up question: how does that compare/)
+})
+
+test('rewriteFollowUp leaves standalone questions and first questions alone, and survives LLM errors', async () => {
+  const llm = fakeLlm(() => 'rewritten')
+  const standalone = 'How does a minimum wage change employment under monopsony?'
+  assert.equal(await rewriteFollowUp(llm, history, standalone), standalone)
+  assert.equal(await rewriteFollowUp(llm, [], 'what about it?'), 'what about it?')
+  assert.equal(llm.prompts.length, 0)
+
+  const failing = { complete: async () => { throw new Error('invalid api key') } }
+  assert.equal(await rewriteFollowUp(failing, history, 'what about it?'), 'what about it?')
+})
+
+test('budgetHistory keeps history that fits as is', async () => {
+  const llm = fakeLlm(() => 'unused')
+  assert.deepEqual(await budgetHistory(llm, history, 1000), history)
+  assert.deepEqual(await budgetHistory(llm, history, 0), [])
+  assert.equal(llm.prompts.length, 0)
+})
+
+test('budgetHistory summarizes older turns and keeps recent ones starting on a question', async () => {
+  const long = (topic) => `${topic} `.repeat(40).trim()
+  const turns = [
+    { role: 'user', content: long('elasticity') },
+    { role: 'assistant', content: long('elasticity answer') },
+    { role: 'user', content: long('monopsony') },
+    { role: 'assistant', content: long('monopsony answer') },
+    { role: 'user', content: 'and the minimum wage?' },
+    { role: 'assistant', content: 'It can raise employment.' },
+  ]
+  const llm = fakeLlm(() => 'The student asked about elasticity and monopsony.')
+
+  const budgeted = await budgetHistory(llm, turns, 120)
+  assert.deepEqual(budgeted, [
+    { role: 'system', content: 'Summary of the earlier conversation:\nThe student asked about elasticity and monopsony.' },
+    ...turns.slice(4),
+  ])
+  assert.equal(llm.prompts.length, 1)
+  assert.match(llm.prompts[0], /Student: elasticity/)
+  assert.doesNotMatch(llm.prompts[0], /minimum wage/)
+
+  // The summary of the same turns is cached
+  await budgetHistory(llm, turns, 120)
+  assert.equal(llm.prompts.length, 1)
+})
@@ -0,0 +1,167 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+import { strToU8, zipSync } from 'fflate'
+import { detectDocumentFormat, extractTextPages, formatTimestamp } from '../src/documentFormats.js'
+
+const zip = (files) => Buffer.from(zipSync(Object.fromEntries(Object.entries(files).map(([name, xml]) => [name, strToU8(xml)]))))
+
+const W = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"'
+const PML = 'xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"'
+const REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships'
+
+test('formatTimestamp writes m:ss, or h:mm:ss past an hour', () => {
+  assert.equal(formatTimestamp(5.9), '0:05')
+  assert.equal(formatTimestamp(872), '14:32')
+  assert.equal(formatTimestamp(3723), '1:02:03')
+})
+
+test('a known extension wins over the browser MIME type', () => {
+  assert.equal(detectDocumentFormat({ mimetype: 'application/octet-stream', originalname: 'Notes.MD' }), 'markdown')
+  assert.equal(detectDocumentFormat({ mimetype: 'application/pdf', originalname: 'lecture' }), 'pdf')
+  assert.equal(detectDocumentFormat({ mimetype: 'image/png', originalname: 'slide.png' }), null)
+})
+
+test('VTT captions become timestamped one-minute pages', () => {
+  const vtt = `WEBVTT
+
+NOTE recorded in room 101
+
+intro
+00:00:01.000 --> 00:00:04.500
+<v Prof. Lee>Welcome to <i>labor economics</i>.
+
+00:00:04.500 --> 00:00:06.000
+<v Prof. Lee>Welcome to <i>labor economics</i>.
+
+00:00:30.000 --> 00:00:35.000
+Today: monopsony &amp; wages.
+
+00:01:12.000 --> 00:01:20.000
+Figure 2 shows the labor supply curve.
+`
+  const pages = extractTextPages(Buffer.from(`\uFEFF${vtt}`), 'vtt')
+
+  assert.deepEqual(pages, [
+    {
+      pageNumber: 1,
+      text: '[0:01] Prof. Lee: Welcome to labor economics.\n[0:30] Today: monopsony & wages.',
+      figureMetadata: [],
+      sectionTitle: '0:01-0:35',
+      startTime: 1,
+      endTime: 35,
+    },
+    {
+      pageNumber: 2,
+      text: '[1:12] Figure 2 shows the labor supply curve.',
+      figureMetadata: [],
+      sectionTitle: '1:12-1:20',
+      startTime: 72,
+      endTime: 80,
+    },
+  ])
+})
+
+test('SRT counters and position codes are dropped', () => {
+  const srt = '1\r\n01:02:03,250 --> 01:02:05,000\r\n{\\an8}The wage rises\r\nto W*.\r\n\r\n2\r\n01:02:06,000 --> 01:02:08,000\r\nThat ends the lecture.\r\n'
+  const [page] = extractTextPages(Buffer.from(srt), 'srt')
+
+  assert.equal(page.text, '[1:02:03] The wage rises to W*.\n[1:02:06] That ends the lecture.')
+  assert.equal(page.startTime, 3723.25)
+  assert.equal(page.endTime, 3728)
+})
+
+test('Markdown splits into pages at top-level headings and keeps lists and tables', () => {
+  const markdown = `# Costs
+
+Fixed and variable costs.
+
+## Short run
+
+- Fixed cost
+  - Rent
+1. Variable cost
+
+# Revenue
+
+| Quantity | Price |
+| --- | ---: |
+| 1 | 10 |
+`
+  const pages = extractTextPages(Buffer.from(markdown), 'markdown')
+
+  assert.deepEqual(pages.map((page) => page.sectionTitle), ['Costs', 'Revenue'])
+  assert.equal(pages[0].text, '# Costs\n\nFixed and variable costs.\n\n## Short run\n\n- Fixed cost\n  - Rent\n1. Variable cost')
+  assert.equal(pages[1].text, '# Revenue\n\n[TABLE 1]\nQuantity | Price\n1 | 10\n[END TABLE 1]')
+})
+
+test('DOCX headings come from styles, list numbering from numbering.xml', () => {
+  const paragraph = (text, props = '') => `<w:p><w:pPr>${props}</w:pPr><w:r><w:t>${text}</w:t></w:r></w:p>`
+  const numbered = (text, level = 0) => paragraph(text, `<w:numPr><w:ilvl w:val="${level}"/><w:numId w:val="7"/></w:numPr>`)
+  const docx = zip({
+    'word/document.xml': `<w:document ${W}><w:body>
+      ${paragraph('Market Structures', '<w:pStyle w:val="Title"/>')}
+      ${paragraph('Monopsony', '<w:pStyle w:val="H2"/>')}
+      ${paragraph('A single buyer of labor.')}
+      ${numbered('Wages fall')}
+      ${numbered('Employment falls')}
+      ${numbered('Deadweight loss', 1)}
+      <w:tbl><w:tr><w:tc>${paragraph('Wage')}</w:tc><w:tc>${paragraph('Workers')}</w:tc></w:tr>
+        <w:tr><w:tc>${paragraph('12')}</w:tc><w:tc>${paragraph('40')}</w:tc></w:tr></w:tbl>
+    </w:body></w:document>`,
+    'word/styles.xml': `<w:styles ${W}>
+      <w:style w:styleId="Title"><w:name w:val="Title"/></w:style>
+      <w:style w:styleId="H2"><w:name w:val="heading 2"/></w:style>
+    </w:styles>`,
+    'word/numbering.xml': `<w:numbering ${W}>
+      <w:abstractNum w:abstractNumId="3">
+        <w:lvl w:ilvl="0"><w:numFmt w:val="decimal"/></w:lvl>
+        <w:lvl w:ilvl="1"><w:numFmt w:val="bullet"/></w:lvl>
+      </w:abstractNum>
+      <w:num w:numId="7"><w:abstractNumId w:val="3"/></w:num>
+    </w:numbering>`,
+  })
+
+  assert.deepEqual(extractTextPages(docx, 'docx'), [{
+    pageNumber: 1,
+    text: '# Market Structures\n\n## Monopsony\n\nA single buyer of labor.\n\n1. Wages fall\n2. Employment falls\n  - Deadweight loss\n\n[TABLE 1]\nWage | Workers\n12 | 40\n[END TABLE 1]',
+    figureMetadata: [],
+    sectionTitle: 'Market Structures',
+  }])
+})
+
+test('PPTX slides follow the presentation order with titles, bullets and speaker notes', () => {
+  const shape = (type, ...paragraphs) => `<p:sp><p:nvSpPr><p:nvPr>${type ? `<p:ph type="${type}"/>` : ''}</p:nvPr></p:nvSpPr>
+    <p:txBody>${paragraphs.join('')}</p:txBody></p:sp>`
+  const para = (text, props = '') => `<a:p><a:pPr ${props}/><a:r><a:t>${text}</a:t></a:r></a:p>`
+  const slide = (...shapes) => `<p:sld ${PML}><p:cSld><p:spTree>${shapes.join('')}</p:spTree></p:cSld></p:sld>`
+  const rels = (...targets) => `<Relationships>${targets.map(([id, type, target]) => `<Relationship Id="${id}" Type="${REL}/${type}" Target="${target}"/>`).join('')}</Relationships>`
+
+  const pptx = zip({
+    'ppt/presentation.xml': `<p:presentation ${PML}><p:sldIdLst><p:sldId id="256" r:id="rId2"/><p:sldId id="257" r:id="rId1"/></p:sldIdLst></p:presentation>`,
+    'ppt/_rels/presentation.xml.rels': rels(['rId1', 'slide', 'slides/slide1.xml'], ['rId2', 'slide', 'slides/slide2.xml']),
+    'ppt/slides/slide2.xml': slide(
+      shape('title', para('Monopsony')),
+      shape('body', para('Single buyer'), para('Wage below MRP', 'lvl="1"')),
+      shape('sldNum', para('1')),
+    ),
+    'ppt/slides/_rels/slide2.xml.rels': rels(['rId1', 'notesSlide', '../notesSlides/notesSlide1.xml']),
+    'ppt/notesSlides/notesSlide1.xml': `<p:notes ${PML}><p:cSld><p:spTree>${shape('sldImg')}${shape('body', para('Draw the MFC curve first.'))}</p:spTree></p:cSld></p:notes>`,
+    'ppt/slides/slide1.xml': slide(shape(null, para('Questions?'))),
+  })
+
+  assert.deepEqual(extractTextPages(pptx, 'pptx'), [
+    {
+      pageNumber: 1,
+      text: '# Monopsony\n\n- Single buyer\n  - Wage below MRP',
+      figureMetadata: [],
+      sectionTitle: 'Monopsony',
+      speakerNotes: 'Draw the MFC curve first.',
+    },
+    { pageNumber: 2, text: 'Questions?', figureMetadata: [], sectionTitle: null, speakerNotes: null },
+  ])
+})
+
+test('a broken archive is reported as such', () => {
+  assert.throws(() => extractTextPages(Buffer.from('not a zip'), 'docx'), /Could not open DOCX archive/)
+  assert.throws(() => extractTextPages(zip({ 'ppt/slides/slide1.xml': '<p:sld/>' }), 'pptx'), /ppt\/presentation\.xml is missing/)
+})
@@ -0,0 +1,59 @@
+import assert from 'node:assert/strict'
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { mock, test } from 'node:test'
+import { createJobQueue } from '../src/jobs.js'
+import { createStorage } from '../src/storage.js'
+
+// Storage and the queue log every step; keep the output to the test results
+for (const method of ['log', 'warn', 'error']) mock.method(console, method, () => {})
+
+// Resolves once the job reaches one of the statuses
+function waitForStatus(queue, id, statuses) {
+  return new Promise((resolve) => {
+    const unsubscribe = queue.subscribe(({ job }) => {
+      if (job.id === id && statuses.includes(job.status) && job.finishedAt) {
+        unsubscribe()
+        resolve(job)
+      }
+    })
+  })
+}
+
+for (const provider of ['memory', 'local']) {
+  test(`concurrent retries of a failed job queue it once (${provider} storage)`, async (t) => {
+    const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'studyowl-jobs-'))
+    t.after(() => fs.rm(rootDir, { recursive: true, force: true }))
+    const storage = await createStorage({ provider, rootDir, uploadsContainerName: 'uploads', jsonContainerName: 'parsed-json' })
+
+    let runs = 0
+    const queue = createJobQueue({
+      store: storage.jobs,
+      type: 'test',
+      handler: async () => {
+        runs++
+        if (runs === 1) throw new Error('first attempt fails')
+        return { ok: true }
+      },
+    })
+
+    const job = await queue.submit({})
+    await waitForStatus(queue, job.id, ['failed'])
+
+    const done = waitForStatus(queue, job.id, ['completed'])
+    const results = await Promise.allSettled([queue.retry(job.id), queue.retry(job.id), queue.retry(job.id)])
+    assert.equal(results.filter((r) => r.status === 'fulfilled').length, 1)
+    assert.ok(results.filter((r) => r.status === 'rejected').every((r) => r.reason.status === 409))
+
+    await done
+    assert.equal(runs, 2)
+    assert.equal((await queue.get(job.id)).attempts, 2)
+  })
+}
+
+test('retrying an unknown job is a 404', async () => {
+  const storage = await createStorage({ provider: 'memory', uploadsContainerName: 'uploads', jsonContainerName: 'parsed-json' })
+  const queue = createJobQueue({ store: storage.jobs, type: 'test', handler: async () => null })
+  await assert.rejects(queue.retry('missing'), { status: 404 })
+})
@@ -0,0 +1,44 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+import { applyQueryFilters, parseQueryFilters } from '../src/queryFilters.js'
+
+const chunk = (id, pageNumber, fields = {}) => ({ id, pageNumber, content: `chunk ${id}`, chunkType: 'text', ...fields })
+
+const chunks = [
+  chunk('p6-text', 6),
+  chunk('p6-fig1', 6, { chunkType: 'figure', figureIndex: 1, caption: 'Figure 1: Labor supply' }),
+  chunk('p7-text', 7),
+  // The second figure of the document is the first one on page 7
+  chunk('p7-fig1', 7, { chunkType: 'graph-interpretation', figureIndex: 1, caption: 'Figure 2: Monopsony' }),
+  chunk('p7-fig2', 7, { chunkType: 'figure', figureIndex: 2, caption: 'Figure 3: Minimum wage' }),
+  chunk('p8-table1', 8, { chunkType: 'table', tableIndex: 1, caption: null }),
+]
+
+const resolve = (message) => applyQueryFilters(chunks, parseQueryFilters(message))
+
+test('"Figure N on page P" finds the figure captioned Figure N, not the N-th figure on page P', () => {
+  const { focusChunkIds, applied } = resolve('explain Figure 2 on page 7')
+  assert.deepEqual([...focusChunkIds], ['p7-fig1'])
+  assert.deepEqual(applied.find((f) => f.type === 'figure'), { type: 'figure', number: 2, pageNumber: 7, label: 'Figure 2, page 7' })
+})
+
+test('without a matching caption, "Table N on page P" is the N-th table on page P', () => {
+  const { focusChunkIds } = resolve('what does table 1 on page 8 show')
+  assert.deepEqual([...focusChunkIds], ['p8-table1'])
+})
+
+test('without a page, a figure is found by its caption anywhere in the document', () => {
+  const { chunks: candidates, focusChunkIds, pageHint } = resolve('explain figure 3')
+  assert.deepEqual([...focusChunkIds], ['p7-fig2'])
+  assert.equal(pageHint, 7)
+  assert.ok(candidates.every((c) => Math.abs(c.pageNumber - 7) <= 1))
+})
+
+test('chunks indexed without typed fields fall back to their content markers', () => {
+  const legacy = [
+    { id: 'a', pageNumber: 3, content: 'intro text' },
+    { id: 'b', pageNumber: 3, content: '[FIGURE 1]\nCaption: Demand\n[END FIGURE 1]' },
+  ]
+  const { focusChunkIds } = applyQueryFilters(legacy, parseQueryFilters('figure 1 on page 3'))
+  assert.deepEqual([...focusChunkIds], ['b'])
+})
@@ -0,0 +1,61 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+import { buildSearchIndex, reciprocalRankFusion, searchIndex, tokenize } from '../src/searchIndex.js'
+
+const ranked = (scores) => [...scores.entries()].sort((a, b) => b[1] - a[1]).map(([id]) => id)
+
+test('tokenize lowercases, drops stop words and chat phrasing, and keeps numbers', () => {
+  assert.deepEqual(tokenize('Please explain the Labor Supply in 2024 (Figure 3)'), ['labor', 'suppli', '2024', 'figur', '3'])
+})
+
+test('the Porter stemmer conflates inflections and derivations', () => {
+  const cases = {
+    caresses: 'caress', ponies: 'poni', cats: 'cat', feed: 'feed', agreed: 'agre', plastered: 'plaster',
+    motoring: 'motor', hopping: 'hop', filing: 'file', happy: 'happi', relational: 'relat',
+    conditional: 'condit', digitizer: 'digit', triplicate: 'triplic', formative: 'form',
+    electrical: 'electr', adjustable: 'adjust', goodness: 'good', hopeful: 'hope',
+  }
+  for (const [word, stem] of Object.entries(cases)) assert.deepEqual(tokenize(word), [stem], word)
+  assert.deepEqual(tokenize('hiring hired hires'), ['hire', 'hire', 'hire'])
+})
+
+test('BM25 ranks by term frequency, term rarity and chunk length', () => {
+  const index = buildSearchIndex([
+    { id: 'wages', content: 'Monopsony lowers wages. Wages fall as the firm hires fewer workers.' },
+    { id: 'short', content: 'Monopsony wages.' },
+    { id: 'supply', content: 'The labor supply curve slopes upward for the firm and for workers.' },
+    { id: 'empty', content: '' },
+  ])
+
+  assert.equal(index.chunkCount, 4)
+  assert.deepEqual(index.postings.wage, [['wages', 2], ['short', 1]])
+  assert.equal(index.lengths.empty, 0)
+
+  // "supply" appears in one chunk, "firm" in two: the rare term decides
+  assert.deepEqual(ranked(searchIndex(index, 'supply of the firm')), ['supply', 'wages'])
+  // Same term frequency, so the shorter chunk wins
+  assert.deepEqual(ranked(searchIndex(index, 'monopsony')), ['short', 'wages'])
+  // Stemming lets "hiring" find "hires"
+  assert.deepEqual(ranked(searchIndex(index, 'hiring')), ['wages'])
+  assert.equal(searchIndex(index, 'elasticity').size, 0)
+})
+
+test('searchIndex only scores the given ids but keeps whole-document statistics', () => {
+  const index = buildSearchIndex([
+    { id: 'a', content: 'marginal cost' },
+    { id: 'b', content: 'marginal revenue' },
+    { id: 'c', content: 'average cost' },
+  ])
+  const all = searchIndex(index, 'marginal cost')
+  const windowed = searchIndex(index, 'marginal cost', { ids: new Set(['b', 'c']) })
+
+  assert.deepEqual([...windowed.keys()].sort(), ['b', 'c'])
+  assert.equal(windowed.get('b'), all.get('b'))
+  assert.equal(windowed.get('c'), all.get('c'))
+})
+
+test('reciprocalRankFusion rewards ids ranked well across lists', () => {
+  const fused = reciprocalRankFusion([['a', 'b', 'c'], ['b', 'c', 'a'], ['b', 'd']])
+  assert.deepEqual(ranked(fused), ['b', 'a', 'c', 'd'])
+  assert.equal(fused.get('d'), 1 / 62)
+})
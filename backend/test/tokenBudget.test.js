@@ -0,0 +1,48 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+import { estimateTokens } from '../src/chunkText.js'
+import { createTokenBudget, messageTokens, modelLimits } from '../src/tokenBudget.js'
+
+test('messageTokens adds per-message overhead to the content estimate', () => {
+  const messages = [
+    { role: 'system', content: 'You are a tutor for an economics course.' },
+    { role: 'user', content: 'What is monopsony?' },
+  ]
+  const content = messages.reduce((sum, message) => sum + estimateTokens(message.content), 0)
+  assert.equal(messageTokens(messages), content + 8)
+})
+
+test('the prompt space is the window less the answer and a 10% safety margin', () => {
+  // gemma2-9b-it: 8192-token window, so 8192 - 1000 - 819 = 6373 tokens for the prompt
+  const budget = createTokenBudget({ model: 'gemma2-9b-it', answerTokens: 1000, historyTokens: 4000, contextTokens: 6000 })
+
+  assert.equal(budget.contextWindow, 8192)
+  assert.equal(budget.knownModel, true)
+  assert.equal(budget.answerTokens, 1000)
+  // History gets at most 30% of what the instructions leave
+  assert.equal(budget.history(373), 1800)
+  // Context gets the rest, up to its cap
+  assert.equal(budget.context(2373), 4000)
+  assert.equal(budget.context(100), 6000)
+  assert.equal(budget.context(7000), 0)
+})
+
+test('caps keep small prompts small on large-window models', () => {
+  const budget = createTokenBudget({ model: 'gpt-4.1', answerTokens: 100000, historyTokens: 1500, contextTokens: 3000 })
+  assert.equal(budget.answerTokens, 32768)
+  assert.equal(budget.history(500), 1500)
+  assert.equal(budget.context(2000), 3000)
+})
+
+test('unknown models use the default limits unless a context window is given', () => {
+  assert.deepEqual(modelLimits('my-local-model'), { contextWindow: 8192, maxOutputTokens: 4096, known: false })
+  assert.equal(modelLimits('my-local-model', { contextWindow: 32768 }).contextWindow, 32768)
+  assert.match(createTokenBudget({ model: 'my-local-model', answerTokens: 1000, historyTokens: 1, contextTokens: 1 }).describe(), /\(default\)/)
+})
+
+test('a window with no room for a prompt is rejected', () => {
+  assert.throws(
+    () => createTokenBudget({ model: 'local', contextWindow: 1000, answerTokens: 950, historyTokens: 100, contextTokens: 100 }),
+    /leaves no room for a prompt/,
+  )
+})